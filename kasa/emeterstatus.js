@@ -17,8 +17,11 @@ export class EmeterStatus {
    * @param {Object} data - The raw emeter data
    */
   constructor(data = {}) {
-    // Copy all properties from data
-    Object.assign(this, data);
+    // Copy all properties from data. Older devices report the values without
+    // unit postfix (e.g. power), these shadow the converting getters.
+    for (const [key, value] of Object.entries(data)) {
+      Object.defineProperty(this, key, { value, enumerable: true, writable: true, configurable: true });
+    }
   }
 
   /**
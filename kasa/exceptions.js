@@ -199,14 +199,24 @@ export class SmartErrorCode {
   static INTERNAL_UNKNOWN_ERROR = -100000;
   static INTERNAL_QUERY_ERROR = -100001;
 
+  /**
+   * Create an error code.
+   * @param {string} name - Error code name
+   * @param {number} value - Error code value
+   */
+  constructor(name, value) {
+    this.name = name;
+    this.value = value;
+  }
+
   static fromInt(value) {
     // Find the error code by value
     for (const [key, errorValue] of Object.entries(SmartErrorCode)) {
       if (typeof errorValue === 'number' && errorValue === value) {
-        return { name: key, value: errorValue };
+        return new SmartErrorCode(key, errorValue);
       }
     }
-    return { name: 'UNKNOWN', value };
+    return new SmartErrorCode('UNKNOWN', value);
   }
 
   toString() {
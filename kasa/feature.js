@@ -271,7 +271,7 @@ export class Feature {
       attributeSetter = this.attributeSetter;
     } else {
       const container = this.container !== null ? this.container : this.device;
-      attributeSetter = container[this.attributeSetter];
+      attributeSetter = container[this.attributeSetter].bind(container);
     }
 
     if (this.type === Feature.Type.Action) {
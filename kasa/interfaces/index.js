@@ -7,8 +7,10 @@ export { Energy } from './energy.js';
 export { Fan } from './fan.js';
 export { Led } from './led.js';
 export { Light, LightState, HSV, ColorTempRange } from './light.js';
+export { LightEffect } from './lighteffect.js';
+export { LightPreset } from './lightpreset.js';
 export { Thermostat, ThermostatState } from './thermostat.js';
 export { Time } from './time.js';
 
-// Note: ChildSetup, LightEffect, and LightPreset are not included in this port
-// as they were not requested in the requirements
\ No newline at end of file
+// Note: ChildSetup is not included in this port
+// as it was not requested in the requirements
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Module for base light effect module.
+ */
+
+import { Feature } from '../feature.js';
+import { Module } from '../module.js';
+
+/**
+ * Interface to represent a light effect module.
+ * @abstract
+ */
+export class LightEffect extends Module {
+  static LIGHT_EFFECTS_OFF = 'Off';
+  static LIGHT_EFFECTS_UNNAMED_CUSTOM = 'Custom';
+
+  /**
+   * Initialize features.
+   */
+  _initializeFeatures() {
+    const device = this._device;
+    this._addFeature(new Feature({
+      device: device,
+      container: this,
+      id: 'light_effect',
+      name: 'Light effect',
+      icon: 'mdi:lightbulb-variant',
+      attributeGetter: 'effect',
+      attributeSetter: 'setEffect',
+      choicesGetter: 'effectList',
+      type: Feature.Type.Choice,
+      category: Feature.Category.Primary,
+    }));
+  }
+
+  /**
+   * Return true if the device supports setting custom effects.
+   * @returns {boolean} Supports custom effects
+   * @abstract
+   */
+  get hasCustomEffects() {
+    throw new Error('Abstract property \'hasCustomEffects\' must be implemented by subclass');
+  }
+
+  /**
+   * Return effect name.
+   * @returns {string} Effect name, LIGHT_EFFECTS_OFF if no effect is active
+   * @abstract
+   */
+  get effect() {
+    throw new Error('Abstract property \'effect\' must be implemented by subclass');
+  }
+
+  /**
+   * Return true if an effect is active.
+   * @returns {boolean} Effect active
+   */
+  get isActive() {
+    return this.effect !== LightEffect.LIGHT_EFFECTS_OFF;
+  }
+
+  /**
+   * Return built-in effects list.
+   *
+   * The first entry is always LIGHT_EFFECTS_OFF.
+   * @returns {Array<string>} Effect names
+   * @abstract
+   */
+  get effectList() {
+    throw new Error('Abstract property \'effectList\' must be implemented by subclass');
+  }
+
+  /**
+   * Set an effect on the device.
+   *
+   * If brightness or transition is defined,
+   * its value will be used instead of the effect-specific default.
+   *
+   * See effectList for available effects,
+   * or use setCustomEffect for custom effects.
+   * @param {string} effect - Name of the effect to set
+   * @param {Object} [options] - Options
+   * @param {number|null} [options.brightness] - Brightness
+   * @param {number|null} [options.transition] - Transition time in milliseconds
+   * @returns {Promise<Object>} Command result
+   * @abstract
+   */
+  async setEffect(_effect, _options = {}) {
+    throw new Error('Abstract method \'setEffect\' must be implemented by subclass');
+  }
+
+  /**
+   * Set a custom effect on the device.
+   * @param {Object} effectDict - The custom effect definition
+   * @returns {Promise<Object>} Command result
+   * @abstract
+   */
+  async setCustomEffect(_effectDict) {
+    throw new Error('Abstract method \'setCustomEffect\' must be implemented by subclass');
+  }
+}
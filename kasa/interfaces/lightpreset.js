@@ -0,0 +1,91 @@
+/**
+ * Module for base light preset module.
+ */
+
+import { Feature } from '../feature.js';
+import { Module } from '../module.js';
+
+/**
+ * Base interface for light preset module.
+ * @abstract
+ */
+export class LightPreset extends Module {
+  static PRESET_NOT_SET = 'Not set';
+
+  /**
+   * Initialize features.
+   */
+  _initializeFeatures() {
+    const device = this._device;
+    this._addFeature(new Feature({
+      device: device,
+      container: this,
+      id: 'light_preset',
+      name: 'Light preset',
+      attributeGetter: 'preset',
+      attributeSetter: 'setPreset',
+      choicesGetter: 'presetList',
+      type: Feature.Type.Choice,
+      category: Feature.Category.Config,
+    }));
+  }
+
+  /**
+   * Return list of preset names.
+   *
+   * The first entry is always the name used when no preset is active.
+   * @returns {Array<string>} Preset names
+   * @abstract
+   */
+  get presetList() {
+    throw new Error('Abstract property \'presetList\' must be implemented by subclass');
+  }
+
+  /**
+   * Return list of preset states.
+   * @returns {Array<LightState>} Preset states
+   * @abstract
+   */
+  get presetStatesList() {
+    throw new Error('Abstract property \'presetStatesList\' must be implemented by subclass');
+  }
+
+  /**
+   * Return current preset name.
+   * @returns {string} Preset name
+   * @abstract
+   */
+  get preset() {
+    throw new Error('Abstract property \'preset\' must be implemented by subclass');
+  }
+
+  /**
+   * Set a light preset for the device.
+   * @param {string} presetName - Preset name
+   * @returns {Promise<Object>} Command result
+   * @abstract
+   */
+  async setPreset(_presetName) {
+    throw new Error('Abstract method \'setPreset\' must be implemented by subclass');
+  }
+
+  /**
+   * Update the preset with presetName with the new presetState.
+   * @param {string} presetName - Preset name
+   * @param {LightState} presetState - New preset state
+   * @returns {Promise<Object>} Command result
+   * @abstract
+   */
+  async savePreset(_presetName, _presetState) {
+    throw new Error('Abstract method \'savePreset\' must be implemented by subclass');
+  }
+
+  /**
+   * Return true if the device supports updating presets.
+   * @returns {boolean} Supports saving presets
+   * @abstract
+   */
+  get hasSavePreset() {
+    throw new Error('Abstract property \'hasSavePreset\' must be implemented by subclass');
+  }
+}
@@ -0,0 +1,371 @@
+/**
+ * Module for light strip light effects.
+ */
+
+const EFFECT_AURORA = {
+  custom: 0,
+  id: 'xqUxDhbAhNLqulcuRMyPBmVGyTOyEMEu',
+  brightness: 100,
+  name: 'Aurora',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'sequence',
+  duration: 0,
+  transition: 1500,
+  direction: 4,
+  spread: 7,
+  repeat_times: 0,
+  sequence: [[120, 100, 100], [240, 100, 100], [260, 100, 100], [280, 100, 100]]
+};
+
+const EFFECT_BUBBLING_CAULDRON = {
+  custom: 0,
+  id: 'tIwTRQBqJpeNKbrtBMFCgkdPTbAQGfRP',
+  brightness: 100,
+  name: 'Bubbling Cauldron',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'random',
+  hue_range: [100, 270],
+  saturation_range: [80, 100],
+  brightness_range: [50, 100],
+  duration: 0,
+  transition: 200,
+  init_states: [[270, 100, 100]],
+  fadeoff: 1000,
+  random_seed: 24,
+  backgrounds: [[270, 40, 50]]
+};
+
+const EFFECT_CANDY_CANE = {
+  custom: 0,
+  id: 'HCOttllMkNffeHjEOLEgrFJjbzQHoxEJ',
+  brightness: 100,
+  name: 'Candy Cane',
+  segments: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'sequence',
+  duration: 700,
+  transition: 500,
+  direction: 1,
+  spread: 1,
+  repeat_times: 0,
+  sequence: [
+    [0, 0, 100], [0, 0, 100], [360, 81, 100], [0, 0, 100],
+    [0, 0, 100], [360, 81, 100], [360, 81, 100], [0, 0, 100],
+    [0, 0, 100], [360, 81, 100], [360, 81, 100], [360, 81, 100],
+    [360, 81, 100], [0, 0, 100], [0, 0, 100], [360, 81, 100]
+  ]
+};
+
+const EFFECT_CHRISTMAS = {
+  custom: 0,
+  id: 'bwTatyinOUajKrDwzMmqxxJdnInQUgvM',
+  brightness: 100,
+  name: 'Christmas',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'random',
+  hue_range: [136, 146],
+  saturation_range: [90, 100],
+  brightness_range: [50, 100],
+  duration: 5000,
+  transition: 0,
+  init_states: [[136, 0, 100]],
+  fadeoff: 2000,
+  random_seed: 100,
+  backgrounds: [[136, 98, 75], [136, 0, 0], [350, 0, 100], [350, 97, 94]]
+};
+
+const EFFECT_FLICKER = {
+  custom: 0,
+  id: 'bCTItKETDFfrKANolgldxfgOakaarARs',
+  brightness: 100,
+  name: 'Flicker',
+  segments: [1],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'random',
+  hue_range: [30, 40],
+  saturation_range: [100, 100],
+  brightness_range: [50, 100],
+  duration: 0,
+  transition: 0,
+  transition_range: [375, 500],
+  init_states: [[30, 81, 80]]
+};
+
+const EFFECT_GRANDMAS_CHRISTMAS_LIGHTS = {
+  custom: 0,
+  id: 'xdwFbXYuZXBnwVaNyVvjlMHyVkYsZsEP',
+  brightness: 100,
+  name: 'Grandma\'s Christmas Lights',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'sequence',
+  duration: 5000,
+  transition: 100,
+  direction: 1,
+  spread: 1,
+  repeat_times: 0,
+  sequence: [
+    [30, 100, 100], [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [0, 0, 0], [0, 0, 0], [240, 100, 100], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 100, 100], [0, 0, 0],
+    [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [120, 100, 100], [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [0, 0, 0], [0, 0, 0]
+  ]
+};
+
+const EFFECT_HANUKKAH = {
+  custom: 0,
+  id: 'CdLeIgiKcQrLKMINRPTMbylATulQewLD',
+  brightness: 100,
+  name: 'Hanukkah',
+  segments: [1],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'random',
+  hue_range: [200, 210],
+  saturation_range: [0, 100],
+  brightness_range: [50, 100],
+  duration: 1500,
+  transition: 0,
+  transition_range: [400, 500],
+  init_states: [[35, 81, 80]]
+};
+
+const EFFECT_HAUNTED_MANSION = {
+  custom: 0,
+  id: 'oJnFHsVQzFUTeIOBAhMRfVeujmSauhjJ',
+  brightness: 80,
+  name: 'Haunted Mansion',
+  segments: [80],
+  expansion_strategy: 2,
+  enable: 1,
+  type: 'random',
+  hue_range: [45, 45],
+  saturation_range: [10, 10],
+  brightness_range: [0, 80],
+  duration: 0,
+  transition: 0,
+  transition_range: [50, 1500],
+  init_states: [[45, 11, 100]],
+  fadeoff: 200,
+  random_seed: 1,
+  backgrounds: [[45, 10, 100]]
+};
+
+const EFFECT_ICICLE = {
+  custom: 0,
+  id: 'joqVjlaTsgzmuQQBAlHRkkPAqkBUiqeb',
+  brightness: 70,
+  name: 'Icicle',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'sequence',
+  duration: 0,
+  transition: 400,
+  direction: 4,
+  spread: 3,
+  repeat_times: 0,
+  sequence: [[190, 100, 70], [190, 100, 70], [190, 30, 50], [190, 100, 70], [190, 100, 70]]
+};
+
+const EFFECT_LIGHTNING = {
+  custom: 0,
+  id: 'ojqpUUxdGHoIugGPknrUcRoyJiItsjuE',
+  brightness: 100,
+  name: 'Lightning',
+  segments: [7, 20, 23, 32, 34, 35, 49, 65, 66, 74, 80],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'random',
+  hue_range: [240, 240],
+  saturation_range: [10, 11],
+  brightness_range: [90, 100],
+  duration: 0,
+  transition: 50,
+  init_states: [[240, 30, 100]],
+  fadeoff: 150,
+  random_seed: 600,
+  backgrounds: [[200, 100, 100], [200, 50, 10], [210, 10, 50], [240, 10, 0]]
+};
+
+const EFFECT_OCEAN = {
+  custom: 0,
+  id: 'oJjUMosgEMrdumfPANKbkFmBcAdEQsPy',
+  brightness: 30,
+  name: 'Ocean',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'sequence',
+  duration: 0,
+  transition: 2000,
+  direction: 3,
+  spread: 16,
+  repeat_times: 0,
+  sequence: [[198, 84, 30], [198, 70, 30], [198, 10, 30]]
+};
+
+const EFFECT_RAINBOW = {
+  custom: 0,
+  id: 'izRhLCQNcDzIKdpMPqSTtBMuAIoreAuT',
+  brightness: 100,
+  name: 'Rainbow',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'sequence',
+  duration: 0,
+  transition: 1500,
+  direction: 1,
+  spread: 12,
+  repeat_times: 0,
+  sequence: [[0, 100, 100], [100, 100, 100], [200, 100, 100], [300, 100, 100]]
+};
+
+const EFFECT_RAINDROP = {
+  custom: 0,
+  id: 'QbDFwiSFmLzQenUOPnJrsGqyIVrJrRsl',
+  brightness: 30,
+  name: 'Raindrop',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'random',
+  hue_range: [200, 200],
+  saturation_range: [10, 20],
+  brightness_range: [10, 30],
+  duration: 0,
+  transition: 1000,
+  init_states: [[200, 40, 100]],
+  fadeoff: 1000,
+  random_seed: 24,
+  backgrounds: [[200, 40, 0]]
+};
+
+const EFFECT_SPRING = {
+  custom: 0,
+  id: 'URdUpEdQbnOOechDBPMkKrwhSupLyvAg',
+  brightness: 100,
+  name: 'Spring',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'random',
+  hue_range: [0, 90],
+  saturation_range: [30, 100],
+  brightness_range: [90, 100],
+  duration: 600,
+  transition: 0,
+  transition_range: [2000, 6000],
+  init_states: [[80, 30, 100]],
+  fadeoff: 1000,
+  random_seed: 20,
+  backgrounds: [[130, 100, 40]]
+};
+
+const EFFECT_SUNRISE = {
+  custom: 0,
+  id: 'MdLceVgjZHOgmqGmXftglFIyyAlmwfLk',
+  brightness: 100,
+  name: 'Sunrise',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'pulse',
+  duration: 600,
+  transition: 60000,
+  direction: 1,
+  spread: 1,
+  repeat_times: 1,
+  run_time: 0,
+  sequence: [
+    [0, 100, 5], [0, 100, 5], [10, 100, 6], [15, 100, 7],
+    [20, 100, 8], [20, 100, 10], [30, 100, 12], [30, 95, 15],
+    [30, 90, 20], [30, 80, 25], [30, 75, 30], [30, 70, 40],
+    [30, 60, 50], [30, 50, 60], [30, 20, 70], [30, 0, 100]
+  ],
+  trans_sequence: []
+};
+
+const EFFECT_SUNSET = {
+  custom: 0,
+  id: 'SHSmxIJGqMIgBzURtqKnacJRuQtkZGSo',
+  brightness: 100,
+  name: 'Sunset',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'pulse',
+  duration: 600,
+  transition: 60000,
+  direction: 1,
+  spread: 1,
+  repeat_times: 1,
+  run_time: 0,
+  sequence: [
+    [30, 0, 100], [30, 20, 100], [30, 50, 99], [30, 60, 88],
+    [30, 70, 76], [30, 75, 65], [30, 80, 52], [30, 90, 40],
+    [30, 95, 28], [30, 100, 16], [20, 100, 12], [20, 100, 10],
+    [15, 100, 8], [10, 100, 6], [0, 100, 5], [0, 100, 5]
+  ],
+  trans_sequence: []
+};
+
+const EFFECT_VALENTINES = {
+  custom: 0,
+  id: 'QglBhMShPHUAuxLqzNEefFrGiJwahOmz',
+  brightness: 100,
+  name: 'Valentines',
+  segments: [0],
+  expansion_strategy: 1,
+  enable: 1,
+  type: 'random',
+  hue_range: [340, 340],
+  saturation_range: [30, 40],
+  brightness_range: [90, 100],
+  duration: 600,
+  transition: 2000,
+  init_states: [[340, 30, 100]],
+  fadeoff: 3000,
+  random_seed: 100,
+  backgrounds: [[305, 100, 40], [340, 100, 40], [15, 100, 40], [340, 100, 40]]
+};
+
+/**
+ * Built-in light effects of the first generation light strips, keyed by name.
+ */
+export const EFFECT_MAPPING_V1 = Object.fromEntries([
+  EFFECT_AURORA,
+  EFFECT_BUBBLING_CAULDRON,
+  EFFECT_CANDY_CANE,
+  EFFECT_CHRISTMAS,
+  EFFECT_FLICKER,
+  EFFECT_GRANDMAS_CHRISTMAS_LIGHTS,
+  EFFECT_HANUKKAH,
+  EFFECT_HAUNTED_MANSION,
+  EFFECT_ICICLE,
+  EFFECT_LIGHTNING,
+  EFFECT_OCEAN,
+  EFFECT_RAINBOW,
+  EFFECT_RAINDROP,
+  EFFECT_SPRING,
+  EFFECT_SUNRISE,
+  EFFECT_SUNSET,
+  EFFECT_VALENTINES
+].map(effect => [effect.name, effect]));
+
+/**
+ * Names of the built-in light effects.
+ */
+export const EFFECT_NAMES_V1 = Object.keys(EFFECT_MAPPING_V1);
@@ -11,7 +11,34 @@ export { IotLightStrip } from './iotlightstrip.js';
 // export { IotCamera } from './iotcamera.js';
 
 // Export module base classes
-export { IotModule } from './iotmodule.js';
+export { IotModule, IotModuleMixin } from './iotmodule.js';
+
+// Export modules
+export {
+  Action,
+  AmbientLight,
+  Antitheft,
+  AntitheftRule,
+  Cloud,
+  Countdown,
+  CountdownRule,
+  Dimmer,
+  Emeter,
+  IotLightPreset,
+  Led,
+  Light,
+  LightEffect,
+  LightPreset,
+  Motion,
+  Range,
+  Rule,
+  RuleModule,
+  Schedule,
+  Time,
+  TimeOption,
+  TurnOnBehaviorModule,
+  Usage
+} from './modules/index.js';
 
 // Export enums and utility classes
 export { 
@@ -8,73 +8,24 @@ import { Module } from '../module.js';
 import { IotDevice, requiresUpdate } from './iotdevice.js';
 import { KasaException } from '../exceptions.js';
 // import { HSV, ColorTempRange } from '../interfaces/light.js';
-// import { Antitheft, Cloud, Countdown, Emeter, Light, LightPreset, Schedule, Time, Usage } from './modules/index.js';
+import {
+  Antitheft,
+  Cloud,
+  Emeter,
+  Light,
+  LightPreset,
+  Schedule,
+  Time,
+  TurnOnBehavior,
+  TurnOnBehaviorModule,
+  TurnOnBehaviors,
+  Usage
+} from './modules/index.js';
+// import { Countdown } from './modules/index.js';
 
 const _LOGGER = console; // Simple logger replacement
 
-/**
- * Enum to present type of turn on behavior.
- */
-export const BehaviorMode = {
-  /** Return to the last state known state. */
-  Last: 'last_status',
-  /** Use chosen preset. */
-  Preset: 'customize_preset',
-  /** Circadian */
-  Circadian: 'circadian'
-};
-
-/**
- * Model to present a single turn on behavior.
- */
-export class TurnOnBehavior {
-  /**
-     * Create a turn on behavior.
-     * @param {string} mode - Behavior mode
-     * @param {number|null} [preset=null] - Index of preset to use, or null for the last known state
-     * @param {number|null} [brightness=null] - Brightness
-     * @param {number|null} [colorTemp=null] - Color temperature
-     * @param {number|null} [hue=null] - Hue
-     * @param {number|null} [saturation=null] - Saturation
-     */
-  constructor(mode, { preset = null, brightness = null, colorTemp = null, hue = null, saturation = null } = {}) {
-    this.mode = mode;
-    this.preset = preset;
-    this.brightness = brightness;
-    this.colorTemp = colorTemp;
-    this.hue = hue;
-    this.saturation = saturation;
-  }
-
-  /**
-     * Convert to dictionary.
-     * @returns {Object} Dictionary representation
-     */
-  toDict() {
-    const result = { mode: this.mode };
-    if (this.preset !== null) result.index = this.preset;
-    if (this.brightness !== null) result.brightness = this.brightness;
-    if (this.colorTemp !== null) result.color_temp = this.colorTemp;
-    if (this.hue !== null) result.hue = this.hue;
-    if (this.saturation !== null) result.saturation = this.saturation;
-    return result;
-  }
-}
-
-/**
- * Model to contain turn on behaviors.
- */
-export class TurnOnBehaviors {
-  /**
-     * Create turn on behaviors.
-     * @param {TurnOnBehavior} soft - The behavior when the bulb is turned on programmatically
-     * @param {TurnOnBehavior} hard - The behavior when the bulb has been off from mains power
-     */
-  constructor(soft, hard) {
-    this.soft = soft;
-    this.hard = hard;
-  }
-}
+export { BehaviorMode, TurnOnBehavior, TurnOnBehaviors } from './modules/turnonbehavior.js';
 
 // TP-Link Kelvin ranges by model
 const TPLINK_KELVIN = {
@@ -160,15 +111,20 @@ export class IotBulb extends IotDevice {
   async _initializeModules() {
     await super._initializeModules();
         
-    // this.addModule(Module.IotSchedule, new Schedule(this, "smartlife.iot.common.schedule"));
-    // this.addModule(Module.IotUsage, new Usage(this, "smartlife.iot.common.schedule"));
-    // this.addModule(Module.IotAntitheft, new Antitheft(this, "smartlife.iot.common.anti_theft"));
-    // this.addModule(Module.Time, new Time(this, "smartlife.iot.common.timesetting"));
-    // this.addModule(Module.Energy, new Emeter(this, this.emeterType));
+    this.addModule(Module.IotSchedule, new Schedule(this, 'smartlife.iot.common.schedule'));
+    this.addModule(Module.IotUsage, new Usage(this, 'smartlife.iot.common.schedule'));
+    this.addModule(Module.IotAntitheft, new Antitheft(this, 'smartlife.iot.common.anti_theft'));
+    this.addModule(Module.Time, new Time(this, 'smartlife.iot.common.timesetting'));
+    if (this.hasEmeter) {
+      this.addModule(Module.Energy, new Emeter(this, this.emeterType));
+    }
     // this.addModule(Module.IotCountdown, new Countdown(this, "countdown"));
-    // this.addModule(Module.IotCloud, new Cloud(this, "smartlife.iot.common.cloud"));
-    // this.addModule(Module.Light, new Light(this, IotBulb.LIGHT_SERVICE));
-    // this.addModule(Module.LightPreset, new LightPreset(this, IotBulb.LIGHT_SERVICE));
+    this.addModule(Module.IotCloud, new Cloud(this, 'smartlife.iot.common.cloud'));
+    this.addModule(Module.Light, new Light(this, IotBulb.LIGHT_SERVICE));
+    if ('preferred_state' in this.sysInfo) {
+      this.addModule(Module.LightPreset, new LightPreset(this, IotBulb.LIGHT_SERVICE));
+    }
+    this.addModule(Module.IotTurnOnBehavior, new TurnOnBehaviorModule(this, IotBulb.LIGHT_SERVICE));
   }
 
   /**
@@ -271,6 +227,22 @@ export class IotBulb extends IotDevice {
     return this._queryHelper(IotBulb.LIGHT_SERVICE, 'get_light_details');
   }
 
+  /**
+     * Set the light state.
+     * @param {Object} state - Light state parameters as used by the device
+     * @param {Object} [options] - Options
+     * @param {number} [options.transition] - Transition time in milliseconds
+     * @returns {Promise<Object>} Command result
+     * @protected
+     */
+  async _setLightState(state, { transition = null } = {}) {
+    const parameters = { ...state };
+    if (transition !== null) {
+      parameters.transition_period = transition;
+    }
+    return this._queryHelper(IotBulb.LIGHT_SERVICE, IotBulb.SET_LIGHT_METHOD, parameters);
+  }
+
   /**
      * Return whether device is on.
      * @requiresUpdate
@@ -396,10 +368,11 @@ export class IotBulb extends IotDevice {
      * Set the color temperature of the device.
      * @param {number} temp - Color temperature in Kelvin
      * @param {Object} [options] - Options
+     * @param {number} [options.brightness] - Brightness to set at the same time
      * @param {number} [options.transition] - Transition time in milliseconds
      * @returns {Promise<Object>} Command result
      */
-  async setColorTemp(temp, { transition = null } = {}) {
+  async setColorTemp(temp, { brightness = null, transition = null } = {}) {
     if (!this.isVariableColorTemp) {
       throw new KasaException('Bulb does not support color temperature');
     }
@@ -412,6 +385,9 @@ export class IotBulb extends IotDevice {
     }
 
     const parameters = { color_temp: temp };
+    if (brightness !== null) {
+      parameters.brightness = brightness;
+    }
     if (transition !== null) {
       parameters.transition_period = transition;
     }
@@ -481,23 +457,10 @@ export class IotBulb extends IotDevice {
   async getTurnOnBehaviors() {
     const response = await this._queryHelper(IotBulb.LIGHT_SERVICE, 'get_default_behavior');
         
-    const soft = new TurnOnBehavior(response.soft_on.mode, {
-      preset: response.soft_on.index,
-      brightness: response.soft_on.brightness,
-      colorTemp: response.soft_on.color_temp,
-      hue: response.soft_on.hue,
-      saturation: response.soft_on.saturation
-    });
-        
-    const hard = new TurnOnBehavior(response.hard_on.mode, {
-      preset: response.hard_on.index,
-      brightness: response.hard_on.brightness,
-      colorTemp: response.hard_on.color_temp,
-      hue: response.hard_on.hue,
-      saturation: response.hard_on.saturation
-    });
-
-    return new TurnOnBehaviors(soft, hard);
+    return new TurnOnBehaviors(
+      TurnOnBehavior.fromDict(response.soft_on),
+      TurnOnBehavior.fromDict(response.hard_on)
+    );
   }
 
   /**
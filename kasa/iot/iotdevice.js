@@ -19,6 +19,7 @@ import { DeviceConfig } from '../deviceconfig.js';
 import { KasaException } from '../exceptions.js';
 import { Feature } from '../feature.js';
 import { Module } from '../module.js';
+import { ModuleMapping } from '../modulemapping.js';
 import { IotProtocol } from '../protocols/iotprotocol.js';
 import { XorTransport } from '../transports/xortransport.js';
 import { IotModule, merge } from './iotmodule.js';
@@ -171,7 +172,7 @@ export class IotDevice extends Device {
   /**
      * Return the device modules.
      * @requiresUpdate
-     * @returns {Object} Device modules
+     * @returns {ModuleMapping} Device modules
      */
   get modules() {
     return this._supportedModules;
@@ -199,9 +200,9 @@ export class IotDevice extends Device {
      * @returns {Object} Request object
      */
   _createRequest(target, cmd, arg = {}, childIds = null) {
-    let request = { [target]: { [cmd]: arg } };
+    let request = { [target]: { [cmd]: arg ?? {} } };
     if (childIds !== null) {
-      request = { 'context': { 'child_ids': childIds }, [target]: { [cmd]: arg } };
+      request = { 'context': { 'child_ids': childIds }, [target]: { [cmd]: arg ?? {} } };
     }
     return request;
   }
@@ -241,81 +242,94 @@ export class IotDevice extends Device {
 
   /**
      * Update the device state.
-     * @param {boolean} [updateChildren=true] - Update children devices
+     * @param {boolean} [_updateChildren=true] - Update children devices, handled by IotStrip
      * @returns {Promise<void>}
      */
-  async update(updateChildren = true) {
+  async update(_updateChildren = true) {
+    const req = this._createRequest('system', 'get_sysinfo');
+
+    // If this is the initial update, check only for the sysinfo
+    // This is necessary as some devices crash on unexpected modules
     if (this._supportedModules === null) {
+      const response = await this.protocol.query(req);
+      this._lastUpdate = response;
+      this._setSysInfo(extractSysInfo(response));
       await this._initializeModules();
     }
 
-    // Queries for state information
-    const queries = new Map([
-      ['system', { 'get_sysinfo': {} }]
-    ]);
+    await this._modularUpdate(req);
+    this._setSysInfo(extractSysInfo(this._lastUpdate));
 
-    // Add emeter query if supported
-    if (this.hasEmeter) {
-      queries.set(this.emeterType, { 'get_realtime': {} });
+    for (const module of this._supportedModules.values()) {
+      await module._postUpdateHook();
     }
 
-    // Add module queries
-    for (const [name, module] of this._modules) {
-      if (module.query) {
-        const moduleQueries = await module.query();
-        for (const [key, value] of Object.entries(moduleQueries)) {
-          queries.set(key, value);
-        }
+    if (Object.keys(this._features).length === 0) {
+      await this._initializeFeatures();
+    }
+  }
+
+  /**
+     * Execute an update query including the queries of all supported modules.
+     * @param {Object} req - Base request to extend with module queries
+     * @returns {Promise<void>}
+     * @private
+     */
+  async _modularUpdate(req) {
+    for (const module of this._modules.values()) {
+      if (!module.isSupported) {
+        continue;
       }
+      merge(req, module.query());
     }
 
-    // Execute all queries
-    const queryObject = Object.fromEntries(queries);
-    const response = await this.protocol.query(queryObject);
-    this._lastUpdate = response;
+    const response = Object.keys(req).length > 0 ? await this.protocol.query(req) : {};
 
-    // Process sys_info
-    const sysInfo = extractSysInfo(response);
-    this._sysInfo = sysInfo;
+    // Preserve the last update for modules that are not updated
+    this._lastUpdate = { ...this._lastUpdate, ...response };
 
-    // Update modules
+    const supported = new ModuleMapping();
     for (const [name, module] of this._modules) {
-      if (module.update) {
-        await module.update(response);
+      if (module.isSupported) {
+        supported.set(name, module);
       }
     }
+    this._supportedModules = supported;
+  }
 
-    // Update children if requested
-    if (updateChildren && this._children.size > 0) {
-      for (const child of this.children) {
-        await child.update(updateChildren);
-      }
+  /**
+     * Store the system info and the legacy features it announces.
+     * @param {Object} sysInfo - System info
+     * @private
+     */
+  _setSysInfo(sysInfo) {
+    this._sysInfo = sysInfo;
+    if (sysInfo.feature && typeof sysInfo.feature === 'string') {
+      this._legacyFeatures = parseFeatures(sysInfo.feature);
     }
   }
 
   /**
      * Initialize device modules.
-     * @private
+     *
+     * Device classes register their modules here, this is called once
+     * after the initial system info query.
+     * @protected
      */
   async _initializeModules() {
-    // Get basic system info first
-    const response = await this.protocol.query({
-      'system': { 'get_sysinfo': {} }
-    });
-        
-    const sysInfo = extractSysInfo(response);
-    this._sysInfo = sysInfo;
-
-    // Initialize modules based on device capabilities
-    this._modules.clear();
-    this._supportedModules = {};
+  }
 
-    // Core modules that most devices have
-    if (sysInfo.feature && typeof sysInfo.feature === 'string') {
-      const features = parseFeatures(sysInfo.feature);
-      this._legacyFeatures = features;
+  /**
+     * Initialize device features.
+     * @protected
+     */
+  async _initializeFeatures() {
+    for (const module of this._supportedModules.values()) {
+      module._initializeFeatures();
+      for (const feat of Object.values(module._moduleFeatures)) {
+        this._addFeature(feat);
+      }
     }
-
   }
 
   /**
@@ -569,7 +583,7 @@ export class IotDevice extends Device {
      * @returns {Date} Current device time
      */
   get time() {
-    return new Date();
+    return this.modules.get(Module.Time)?.time ?? new Date();
   }
 
   /**
@@ -578,7 +592,7 @@ export class IotDevice extends Device {
      * @returns {string} Timezone
      */
   get timezone() {
-    return 'UTC';
+    return this.modules.get(Module.Time)?.timezone ?? 'UTC';
   }
 
   /**
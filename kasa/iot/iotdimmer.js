@@ -8,33 +8,9 @@ import { Module } from '../module.js';
 import { IotPlug } from './iotplug.js';
 import { requiresUpdate } from './iotdevice.js';
 import { KasaException } from '../exceptions.js';
-// import { AmbientLight, Dimmer, Light, Motion } from './modules/index.js';
+import { AmbientLight, Dimmer, FadeType, Light, Motion } from './modules/index.js';
 
-/**
- * Button action enum.
- */
-export const ButtonAction = {
-  NoAction: 'none',
-  Instant: 'instant_on_off', 
-  Gentle: 'gentle_on_off',
-  Preset: 'customize_preset'
-};
-
-/**
- * Action type enum.
- */
-export const ActionType = {
-  DoubleClick: 'double_click_action',
-  LongPress: 'long_press_action'
-};
-
-/**
- * Fade on/off setting enum.
- */
-export const FadeType = {
-  FadeOn: 'fade_on',
-  FadeOff: 'fade_off'
-};
+export { ActionType, ButtonAction, FadeType } from './modules/dimmer.js';
 
 /**
  * Representation of a TP-Link Smart Dimmer.
@@ -89,10 +65,10 @@ export class IotDimmer extends IotPlug {
   async _initializeModules() {
     await super._initializeModules();
         
-    // this.addModule(Module.IotMotion, new Motion(this, "smartlife.iot.PIR"));
-    // this.addModule(Module.IotAmbientLight, new AmbientLight(this, "smartlife.iot.LAS"));
-    // this.addModule(Module.IotDimmer, new Dimmer(this, "smartlife.iot.dimmer"));
-    // this.addModule(Module.Light, new Light(this, "light"));
+    this.addModule(Module.IotMotion, new Motion(this, 'smartlife.iot.PIR'));
+    this.addModule(Module.IotAmbientLight, new AmbientLight(this, 'smartlife.iot.LAS'));
+    this.addModule(Module.IotDimmer, new Dimmer(this, IotDimmer.DIMMER_SERVICE));
+    this.addModule(Module.Light, new Light(this, 'light'));
   }
 
   /**
@@ -219,49 +195,32 @@ export class IotDimmer extends IotPlug {
 
   /**
      * Return button behavior settings.
-     * @requiresUpdate
      * @returns {Promise<Object>} Button behaviors
      */
   async getBehaviors() {
-    const behaviors = await this._queryHelper(
-      IotDimmer.DIMMER_SERVICE, 'get_default_behavior', {}
-    );
-    return behaviors;
+    return this.modules.get(Module.IotDimmer).call('get_default_behavior');
   }
 
   /**
      * Set action to perform on button click/hold.
-     * @requiresUpdate
-     * @param {string} actionType - Whether to control double click or hold action
-     * @param {string} action - What should the button do (nothing, instant, gentle, change preset)
+     * @param {string} actionType - Whether to control double click or hold action, see ActionType
+     * @param {string} action - What should the button do, see ButtonAction
      * @param {number|null} [index=null] - In case of preset change, the preset to select
      * @returns {Promise<Object>} Command result
      */
   async setButtonAction(actionType, action, index = null) {
-    const actionTypeSetter = `set_${actionType}`;
-
-    const payload = { 'mode': action };
-    if (index !== null) {
-      payload.index = index;
-    }
-
-    return this._queryHelper(
-      IotDimmer.DIMMER_SERVICE, actionTypeSetter, payload
-    );
+    return this.modules.get(Module.IotDimmer).setButtonAction(actionType, action, index);
   }
 
   /**
      * Set time for fade in / fade out.
-     * @requiresUpdate
-     * @param {string} fadeType - Fade type (fade_on or fade_off)
-     * @param {number} time - Fade time
+     * @param {string} fadeType - Fade type, see FadeType
+     * @param {number} time - Fade time in milliseconds
      * @returns {Promise<Object>} Command result
      */
   async setFadeTime(fadeType, time) {
-    const fadeTypeSetter = `set_${fadeType}_time`;
-    const payload = { 'fadeTime': time };
-
-    return this._queryHelper(IotDimmer.DIMMER_SERVICE, fadeTypeSetter, payload);
+    const dimmer = this.modules.get(Module.IotDimmer);
+    return fadeType === FadeType.FadeOn ? dimmer.setFadeOnTime(time) : dimmer.setFadeOffTime(time);
   }
 
   /**
@@ -7,7 +7,7 @@ import { DeviceConfig } from '../deviceconfig.js';
 import { Module } from '../module.js';
 import { IotBulb } from './iotbulb.js';
 import { requiresUpdate } from './iotdevice.js';
-// import { LightEffect } from './modules/lighteffect.js';
+import { LightEffect } from './modules/index.js';
 
 /**
  * Representation of a TP-Link Smart light strip.
@@ -29,9 +29,10 @@ import { requiresUpdate } from './iotdevice.js';
  * // 16
  * 
  * // Currently active effect:
- * console.log(strip.effect);
- * // { brightness: 100, custom: 0, enable: 0,
- * //   id: 'bCTItKETDFfrKANolgldxfgOakaarARs', name: 'Flicker' }
+ * const lightEffect = strip.modules.get(Module.LightEffect);
+ * console.log(lightEffect.effect);
+ * // Flicker
+ * await lightEffect.setEffect('Aurora');
  * 
  * // Note: The device supports some features that are not currently implemented,
  * // feel free to find out how to control them and create a PR!
@@ -61,7 +62,7 @@ export class IotLightStrip extends IotBulb {
   async _initializeModules() {
     await super._initializeModules();
         
-    // this.addModule(Module.LightEffect, new LightEffect(this, "smartlife.iot.lighting_effect"));
+    this.addModule(Module.LightEffect, new LightEffect(this, 'smartlife.iot.lighting_effect'));
   }
 
   /**
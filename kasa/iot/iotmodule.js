@@ -27,70 +27,84 @@ function _mergeDict(dest, source) {
 export const merge = _mergeDict;
 
 /**
- * Base class implementation for all IOT modules.
+ * Mix the IOT module implementation into a module base class.
+ *
+ * This allows IOT modules to implement the common interfaces like Time or
+ * Light while sharing the IOT query handling.
+ * @param {Function} Base - Module class to extend
+ * @returns {Function} Class extending Base with the IOT module implementation
  */
-export class IotModule extends Module {
-  /**
-     * Call the given method with the given parameters.
-     * @param {string} method - Method name
-     * @param {Object|null} [params=null] - Parameters
-     * @returns {Promise<Object>} Result
-     */
-  async call(method, params = null) {
-    return this._device._queryHelper(this._module, method, params);
-  }
+export function IotModuleMixin(Base) {
+  return class extends Base {
+    /**
+       * Call the given method with the given parameters.
+       * @param {string} method - Method name
+       * @param {Object|null} [params=null] - Parameters
+       * @returns {Promise<Object>} Result
+       */
+    async call(method, params = null) {
+      return this._device._queryHelper(this._module, method, params);
+    }
 
-  /**
-     * Create a request object for the given parameters.
-     * @param {string} query - Query name
-     * @param {Object|null} [params=null] - Parameters
-     * @returns {Object} Request object
-     */
-  queryForCommand(query, params = null) {
-    return this._device._createRequest(this._module, query, params);
-  }
+    /**
+       * Create a request object for the given parameters.
+       * @param {string} query - Query name
+       * @param {Object|null} [params=null] - Parameters
+       * @returns {Object} Request object
+       */
+    queryForCommand(query, params = null) {
+      return this._device._createRequest(this._module, query, params);
+    }
 
-  /**
-     * Estimated maximum size of query response.
-     * 
-     * The inheriting modules implement this to estimate how large a query response
-     * will be so that queries can be split should an estimated response be too large
-     * @returns {number} Estimated size
-     */
-  get estimatedQueryResponseSize() {
-    return 256; // Estimate for modules that don't specify
-  }
+    /**
+       * Estimated maximum size of query response.
+       * 
+       * The inheriting modules implement this to estimate how large a query response
+       * will be so that queries can be split should an estimated response be too large
+       * @returns {number} Estimated size
+       */
+    get estimatedQueryResponseSize() {
+      return 256; // Estimate for modules that don't specify
+    }
 
-  /**
-     * Return the module specific raw data from the last update.
-     * @returns {Object} Module data
-     */
-  get data() {
-    const dev = this._device;
-    const q = this.query();
+    /**
+       * Return the module specific raw data from the last update.
+       * @returns {Object} Module data
+       */
+    get data() {
+      const dev = this._device;
+      const q = this.query();
 
-    if (!q) {
-      return dev.sysInfo;
-    }
+      if (!q || Object.keys(q).length === 0) {
+        return dev.sysInfo;
+      }
 
-    if (!(this._module in dev._lastUpdate)) {
-      throw new KasaException(
-        `You need to call update() prior accessing module data for '${this._module}'`
-      );
+      if (!(this._module in dev._lastUpdate)) {
+        throw new KasaException(
+          `You need to call update() prior accessing module data for '${this._module}'`
+        );
+      }
+
+      return dev._lastUpdate[this._module];
     }
 
-    return dev._lastUpdate[this._module];
-  }
+    /**
+       * Return whether the module is supported by the device.
+       * @returns {boolean} Is supported
+       */
+    get isSupported() {
+      if (!(this._module in this._device._lastUpdate)) {
+        return true;
+      }
 
-  /**
-     * Return whether the module is supported by the device.
-     * @returns {boolean} Is supported
-     */
-  get isSupported() {
-    if (!(this._module in this._device._lastUpdate)) {
-      return true;
+      // Successful responses may carry err_code 0, e.g. the sysinfo
+      return (this.data.err_code ?? 0) === 0;
     }
+  };
+}
 
-    return !('err_code' in this.data);
-  }
+/**
+ * Base class implementation for all IOT modules.
+ */
+export class IotModule extends IotModuleMixin(Module) {
 }
\ No newline at end of file
@@ -6,6 +6,7 @@ import { DeviceType } from '../deviceType.js';
 import { DeviceConfig } from '../deviceconfig.js';
 import { Module } from '../module.js';
 import { IotDevice, requiresUpdate } from './iotdevice.js';
+import { Antitheft, Cloud, Countdown, Emeter, Led, Schedule, Time, Usage } from './modules/index.js';
 const _LOGGER = console;
 
 /**
@@ -22,7 +23,7 @@ const _LOGGER = console;
  * and should be handled by the user of the library.
  *
  * @example
- * import { IotPlug } from 'node-kasa';
+ * import { IotPlug, Module } from 'node-kasa';
  *
  * const plug = new IotPlug("127.0.0.1");
  * await plug.update();
@@ -30,9 +31,10 @@ const _LOGGER = console;
  * // Bedroom Lamp Plug
  *
  * // Setting the LED state:
- * await plug.setLed(true);
+ * const led = plug.modules.get(Module.Led);
+ * await led.setLed(true);
  * await plug.update();
- * console.log(plug.led);
+ * console.log(led.led);
  * // true
  *
  * // For more examples, see the Device class.
@@ -56,7 +58,16 @@ export class IotPlug extends IotDevice {
      */
   async _initializeModules() {
     await super._initializeModules();
-        
+    this.addModule(Module.IotSchedule, new Schedule(this, 'schedule'));
+    this.addModule(Module.IotUsage, new Usage(this, 'schedule'));
+    this.addModule(Module.IotCountdown, new Countdown(this, 'count_down'));
+    this.addModule(Module.IotAntitheft, new Antitheft(this, 'anti_theft'));
+    this.addModule(Module.IotCloud, new Cloud(this, 'cnCloud'));
+    this.addModule(Module.Time, new Time(this, 'time'));
+    this.addModule(Module.Led, new Led(this, 'system'));
+    if (this.hasEmeter) {
+      this.addModule(Module.Energy, new Emeter(this, this.emeterType));
+    }
   }
 
   /**
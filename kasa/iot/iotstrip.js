@@ -7,11 +7,12 @@ import { DeviceConfig } from '../deviceconfig.js';
 import { EmeterStatus } from '../emeterstatus.js';
 import { KasaException } from '../exceptions.js';
 import { Feature } from '../feature.js';
+import { Energy } from '../interfaces/energy.js';
 import { Module } from '../module.js';
 import { IotDevice, requiresUpdate } from './iotdevice.js';
-import { IotModule } from './iotmodule.js';
+import { IotModuleMixin } from './iotmodule.js';
 import { IotPlug } from './iotplug.js';
-// import { Antitheft, Cloud, Countdown, Emeter, Led, Schedule, Time, Usage } from './modules/index.js';
+import { Antitheft, Cloud, Countdown, Emeter, Led, Schedule, Time, Usage } from './modules/index.js';
 
 const _LOGGER = console; // Simple logger replacement
 
@@ -107,16 +108,16 @@ export class IotStrip extends IotDevice {
      */
   async _initializeModules() {
     // Strip has different modules to plug so do not call super
-    // this.addModule(Module.IotAntitheft, new Antitheft(this, "anti_theft"));
-    // this.addModule(Module.IotSchedule, new Schedule(this, "schedule"));
-    // this.addModule(Module.IotUsage, new Usage(this, "schedule"));
-    // this.addModule(Module.Time, new Time(this, "time"));
+    this.addModule(Module.IotAntitheft, new Antitheft(this, 'anti_theft'));
+    this.addModule(Module.IotSchedule, new Schedule(this, 'schedule'));
+    this.addModule(Module.IotUsage, new Usage(this, 'schedule'));
+    this.addModule(Module.Time, new Time(this, 'time'));
     // this.addModule(Module.IotCountdown, new Countdown(this, "countdown"));
-    // this.addModule(Module.Led, new Led(this, "system"));
-    // this.addModule(Module.IotCloud, new Cloud(this, "cnCloud"));
+    this.addModule(Module.Led, new Led(this, 'system'));
+    this.addModule(Module.IotCloud, new Cloud(this, 'cnCloud'));
         
     if (this.hasEmeter) {
-      // this.addModule(Module.Energy, new StripEmeter(this, this.emeterType));
+      this.addModule(Module.Energy, new StripEmeter(this, this.emeterType));
     }
   }
 
@@ -160,7 +161,8 @@ export class IotStrip extends IotDevice {
       }
     }
 
-    if (updateChildren) {
+    // New children are always updated so that their modules are available
+    if (updateChildren || initializeChildren) {
       for (const plug of this.children) {
         await plug._update();
       }
@@ -261,6 +263,21 @@ export class IotStripPlug extends IotPlug {
      * @protected
      */
   async _initializeModules() {
+    this.addModule(Module.IotCountdown, new Countdown(this, 'count_down'));
+    this.addModule(Module.Time, new Time(this, 'time'));
+    // Sockets report their own consumption when the strip has an emeter
+    if (this._parent.hasEmeter) {
+      this.addModule(Module.Energy, new Emeter(this, this.emeterType));
+    }
+  }
+
+  /**
+     * Query the child socket through its parent.
+     * @param {boolean} [_updateChildren=true] - Unused, sockets have no children
+     * @returns {Promise<void>}
+     */
+  async update(_updateChildren = true) {
+    await this._update();
   }
 
   /**
@@ -274,9 +291,30 @@ export class IotStripPlug extends IotPlug {
       const childInfo = parentSysInfo.children.find(child => child.id === this.childId);
       if (childInfo) {
         this._sysInfo = childInfo;
-        this._lastUpdate = { system: { get_sysinfo: childInfo } };
+        this._lastUpdate = { ...this._lastUpdate, system: { get_sysinfo: childInfo } };
       }
     }
+
+    await this._modularUpdate({});
+    for (const module of this._supportedModules.values()) {
+      await module._postUpdateHook();
+    }
+
+    if (Object.keys(this._features).length === 0) {
+      await this._initializeFeatures();
+    }
+  }
+
+  /**
+     * Create a request scoped to this socket.
+     * @param {string} target - Target service
+     * @param {string} cmd - Command
+     * @param {Object} [arg={}] - Arguments
+     * @param {Array} [childIds=null] - Child IDs, defaults to this socket
+     * @returns {Object} Request object
+     */
+  _createRequest(target, cmd, arg = {}, childIds = null) {
+    return super._createRequest(target, cmd, arg, childIds ?? [this.childId]);
   }
 
   /**
@@ -359,36 +397,190 @@ export class IotStripPlug extends IotPlug {
 
 /**
  * Energy module implementation to aggregate child modules.
+ *
+ * The strip itself does not report any consumption, the values are the
+ * sums of the energy modules of the sockets.
  */
-export class StripEmeter extends IotModule {
+export class StripEmeter extends IotModuleMixin(Energy) {
   /**
      * Return True if module supports the feature.
-     * @param {string} moduleFeature - Module feature
+     * @param {number} moduleFeature - Feature to check from Energy.ModuleFeature
      * @returns {boolean} Supports feature
      */
   supports(moduleFeature) {
-    const supported = new Set([
-      'CONSUMPTION_TOTAL',
-      'PERIODIC_STATS', 
-      'VOLTAGE_CURRENT'
-    ]);
-    return supported.has(moduleFeature);
+    const supported = Energy.ModuleFeature.CONSUMPTION_TOTAL |
+      Energy.ModuleFeature.PERIODIC_STATS |
+      Energy.ModuleFeature.VOLTAGE_CURRENT;
+    return (moduleFeature & supported) !== 0;
   }
 
   /**
      * Return module query.
+     *
+     * The sockets query their own energy data.
      * @returns {Object} Query object
      */
   query() {
-    return {
-      [this._module]: {
-        'get_realtime': {},
-        'get_daystat': { 'year': new Date().getFullYear() },
-        'get_monthstat': { 'year': new Date().getFullYear() }
-      }
-    };
+    return {};
+  }
+
+  /**
+     * Return the energy modules of the sockets.
+     * @returns {Array<Emeter>} Energy modules
+     * @private
+     */
+  get _childModules() {
+    return this._device.children.map(plug => plug.modules.get(Module.Energy));
+  }
+
+  /**
+     * Return the sum of the attribute over all sockets.
+     * @param {string} attr - Attribute name
+     * @returns {number} Sum
+     * @private
+     */
+  _getEmeterSum(attr) {
+    return this._childModules.reduce((sum, module) => sum + (module[attr] ?? 0), 0);
+  }
+
+  /**
+     * Call the method on all sockets and merge the results.
+     * @param {string} func - Method name
+     * @param {Object} [kwargs] - Options passed to the method
+     * @returns {Promise<Object>} Summed results
+     * @private
+     */
+  async _asyncGetEmeterSum(func, kwargs = {}) {
+    const results = [];
+    for (const module of this._childModules) {
+      results.push(await module[func](kwargs));
+    }
+    return mergeSums(results);
+  }
+
+  /**
+     * Return current energy readings.
+     * @returns {EmeterStatus} Energy status
+     */
+  get status() {
+    return new EmeterStatus({
+      power_mw: this.currentConsumption * 1000,
+      voltage_mv: this.voltage * 1000,
+      current_ma: this.current * 1000,
+      total_wh: this.consumptionTotal * 1000
+    });
+  }
+
+  /**
+     * Get the current power consumption in Watt.
+     * @returns {number} Current consumption in watts
+     */
+  get currentConsumption() {
+    return this._getEmeterSum('currentConsumption');
+  }
+
+  /**
+     * Return today's energy consumption in kWh.
+     * @returns {number} Today's consumption in kWh
+     */
+  get consumptionToday() {
+    return this._getEmeterSum('consumptionToday');
+  }
+
+  /**
+     * Return this month's energy consumption in kWh.
+     * @returns {number} This month's consumption in kWh
+     */
+  get consumptionThisMonth() {
+    return this._getEmeterSum('consumptionThisMonth');
+  }
+
+  /**
+     * Return total consumption since last reboot in kWh.
+     * @returns {number} Total consumption in kWh
+     */
+  get consumptionTotal() {
+    return this._getEmeterSum('consumptionTotal');
+  }
+
+  /**
+     * Return the current in A.
+     * @returns {number} Current in amperes
+     */
+  get current() {
+    return this._getEmeterSum('current');
+  }
+
+  /**
+     * Get the current voltage in V.
+     * @returns {number} Average voltage of the sockets in volts
+     */
+  get voltage() {
+    // Voltage is averaged since each read will result
+    // in a slightly different voltage since they are not atomic
+    const modules = this._childModules;
+    if (modules.length === 0) {
+      return 0;
+    }
+    return this._getEmeterSum('voltage') / modules.length;
   }
 
+  /**
+     * Retrieve current energy readings from device.
+     * @returns {Promise<EmeterStatus>} Energy status
+     */
+  async getStatus() {
+    const statuses = [];
+    for (const module of this._childModules) {
+      statuses.push(await module.getStatus());
+    }
+
+    const sum = (attr) => statuses.reduce((total, status) => total + (status[attr] ?? 0), 0);
+    return new EmeterStatus({
+      power_mw: sum('power') * 1000,
+      voltage_mv: statuses.length ? sum('voltage') / statuses.length * 1000 : 0,
+      current_ma: sum('current') * 1000,
+      total_wh: sum('total') * 1000
+    });
+  }
+
+  /**
+     * Erase energy meter statistics for all plugs.
+     * @returns {Promise<Object>} Command result
+     */
+  async eraseStats() {
+    for (const module of this._childModules) {
+      await module.eraseStats();
+    }
+    return {};
+  }
+
+  /**
+     * Return daily stats for the given year & month.
+     *
+     * The return value is a dictionary of {day: energy, ...}.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {number|null} [options.month=null] - Month, defaults to the current month
+     * @param {boolean} [options.kwh=true] - Return kWh, Wh otherwise
+     * @returns {Promise<Object>} Energy per day
+     */
+  async getDailyStats({ year = null, month = null, kwh = true } = {}) {
+    return this._asyncGetEmeterSum('getDailyStats', { year, month, kwh });
+  }
+
+  /**
+     * Return monthly stats for the given year.
+     *
+     * The return value is a dictionary of {month: energy, ...}.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {boolean} [options.kwh=true] - Return kWh, Wh otherwise
+     * @returns {Promise<Object>} Energy per month
+     */
+  async getMonthlyStats({ year = null, kwh = true } = {}) {
+    return this._asyncGetEmeterSum('getMonthlyStats', { year, kwh });
+  }
 }
 
 export { mergeSums };
\ No newline at end of file
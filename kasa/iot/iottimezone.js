@@ -0,0 +1,216 @@
+/**
+ * Module for io device timezone lookups.
+ */
+
+import { KasaException } from '../exceptions.js';
+
+/**
+ * Mapping of the timezone indexes used by IoT devices to IANA zone names.
+ */
+export const TIMEZONE_INDEX = {
+  0: 'Etc/GMT+12',
+  1: 'Pacific/Samoa',
+  2: 'US/Hawaii',
+  3: 'US/Alaska',
+  4: 'Mexico/BajaNorte',
+  5: 'Etc/GMT+8',
+  6: 'PST8PDT',
+  7: 'US/Arizona',
+  8: 'America/Mazatlan',
+  9: 'MST',
+  10: 'MST7MDT',
+  11: 'Mexico/General',
+  12: 'Etc/GMT+6',
+  13: 'CST6CDT',
+  14: 'America/Monterrey',
+  15: 'Canada/Saskatchewan',
+  16: 'America/Bogota',
+  17: 'EST',
+  18: 'America/Indiana/Indianapolis',
+  19: 'America/Caracas',
+  20: 'America/Asuncion',
+  21: 'Etc/GMT+4',
+  22: 'Canada/Atlantic',
+  23: 'America/Cuiaba',
+  24: 'Brazil/West',
+  25: 'America/Santiago',
+  26: 'Canada/Newfoundland',
+  27: 'America/Sao_Paulo',
+  28: 'America/Argentina/Buenos_Aires',
+  29: 'America/Cayenne',
+  30: 'America/Miquelon',
+  31: 'America/Montevideo',
+  32: 'Chile/Continental',
+  33: 'Etc/GMT+2',
+  34: 'Atlantic/Azores',
+  35: 'Atlantic/Cape_Verde',
+  36: 'Africa/Casablanca',
+  37: 'UCT',
+  38: 'GB',
+  39: 'Africa/Monrovia',
+  40: 'Europe/Amsterdam',
+  41: 'Europe/Belgrade',
+  42: 'Europe/Brussels',
+  43: 'Europe/Sarajevo',
+  44: 'Africa/Lagos',
+  45: 'Africa/Windhoek',
+  46: 'Asia/Amman',
+  47: 'Europe/Athens',
+  48: 'Asia/Beirut',
+  49: 'Africa/Cairo',
+  50: 'Asia/Damascus',
+  51: 'EET',
+  52: 'Africa/Harare',
+  53: 'Europe/Helsinki',
+  54: 'Turkey',
+  55: 'Asia/Jerusalem',
+  56: 'Europe/Kaliningrad',
+  57: 'Africa/Tripoli',
+  58: 'Asia/Baghdad',
+  59: 'Asia/Kuwait',
+  60: 'Europe/Minsk',
+  61: 'Europe/Moscow',
+  62: 'Africa/Nairobi',
+  63: 'Asia/Tehran',
+  64: 'Asia/Muscat',
+  65: 'Asia/Baku',
+  66: 'Europe/Samara',
+  67: 'Indian/Mauritius',
+  68: 'Asia/Tbilisi',
+  69: 'Asia/Yerevan',
+  70: 'Asia/Kabul',
+  71: 'Asia/Ashgabat',
+  72: 'Asia/Yekaterinburg',
+  73: 'Asia/Karachi',
+  74: 'Asia/Kolkata',
+  75: 'Asia/Colombo',
+  76: 'Asia/Kathmandu',
+  77: 'Asia/Almaty',
+  78: 'Asia/Dhaka',
+  79: 'Asia/Novosibirsk',
+  80: 'Asia/Rangoon',
+  81: 'Asia/Bangkok',
+  82: 'Asia/Krasnoyarsk',
+  83: 'Asia/Chongqing',
+  84: 'Asia/Irkutsk',
+  85: 'Asia/Singapore',
+  86: 'Australia/Perth',
+  87: 'Asia/Taipei',
+  88: 'Asia/Ulaanbaatar',
+  89: 'Asia/Tokyo',
+  90: 'Asia/Seoul',
+  91: 'Asia/Yakutsk',
+  92: 'Australia/Adelaide',
+  93: 'Australia/Darwin',
+  94: 'Australia/Brisbane',
+  95: 'Australia/Canberra',
+  96: 'Pacific/Guam',
+  97: 'Australia/Hobart',
+  98: 'Asia/Vladivostok',
+  99: 'Asia/Magadan',
+  100: 'Asia/Srednekolymsk',
+  101: 'Etc/GMT-11',
+  102: 'Antarctica/McMurdo',
+  103: 'Etc/GMT-12',
+  104: 'Pacific/Fiji',
+  105: 'Asia/Kamchatka',
+  106: 'Etc/GMT-13',
+  107: 'Pacific/Tongatapu',
+  108: 'Pacific/Apia',
+  109: 'Pacific/Kiritimati',
+};
+
+/**
+ * Return the wall clock fields of a date in the given timezone.
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA zone name
+ * @returns {Object} Fields named as used by the device (year, month, mday, hour, min, sec)
+ */
+export function getZonedFields(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    mday: value('day'),
+    hour: value('hour'),
+    min: value('minute'),
+    sec: value('second')
+  };
+}
+
+/**
+ * Return the offset of the timezone to UTC in minutes at the given date.
+ * @param {string} timezone - IANA zone name
+ * @param {Date} date - Date to get the offset for
+ * @returns {number} Offset in minutes
+ */
+export function getOffset(timezone, date) {
+  const f = getZonedFields(date, timezone);
+  const asUtc = Date.UTC(f.year, f.month - 1, f.mday, f.hour, f.min, f.sec);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Create a date from wall clock fields in the given timezone.
+ * @param {Object} fields - Fields as reported by the device (year, month, mday, hour, min, sec)
+ * @param {string} timezone - IANA zone name
+ * @returns {Date} Date
+ */
+export function getZonedDate(fields, timezone) {
+  const asUtc = Date.UTC(fields.year, fields.month - 1, fields.mday, fields.hour, fields.min, fields.sec);
+  // Resolve twice to settle on the correct offset around DST changes
+  let offset = getOffset(timezone, new Date(asUtc));
+  offset = getOffset(timezone, new Date(asUtc - offset * 60000));
+  return new Date(asUtc - offset * 60000);
+}
+
+/**
+ * Return the IANA zone name for the device timezone index.
+ * @param {number} index - Timezone index reported by the device
+ * @returns {string} IANA zone name, UTC for unknown indexes
+ */
+export function getTimezone(index) {
+  return TIMEZONE_INDEX[index] ?? 'UTC';
+}
+
+/**
+ * Return the device timezone index for the IANA zone name.
+ *
+ * Zones not in the index are matched by their UTC offsets in winter and summer.
+ * @param {string} timezone - IANA zone name
+ * @returns {number} Timezone index
+ * @throws {KasaException} If no matching index exists
+ */
+export function getTimezoneIndex(timezone) {
+  for (const [index, name] of Object.entries(TIMEZONE_INDEX)) {
+    if (name === timezone) {
+      return parseInt(index);
+    }
+  }
+
+  const year = new Date().getFullYear();
+  const winter = new Date(Date.UTC(year, 0, 1));
+  const summer = new Date(Date.UTC(year, 6, 1));
+  const offsets = (zone) => [getOffset(zone, winter), getOffset(zone, summer)];
+
+  const [winterOffset, summerOffset] = offsets(timezone);
+  for (const [index, name] of Object.entries(TIMEZONE_INDEX)) {
+    const [w, s] = offsets(name);
+    if (w === winterOffset && s === summerOffset) {
+      return parseInt(index);
+    }
+  }
+
+  throw new KasaException(`Device does not support timezone ${timezone}`);
+}
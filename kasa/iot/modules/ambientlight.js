@@ -0,0 +1,144 @@
+/**
+ * Implementation of the ambient light (LAS) module found in some dimmers.
+ */
+
+import { Feature } from '../../feature.js';
+import { IotModule, merge } from '../iotmodule.js';
+
+/**
+ * Implements the ambient light (LAS) module.
+ *
+ * The sensor is used for the auto-brightness, which dims the light when the
+ * ambient light level is above the configured threshold.
+ *
+ * @example
+ * const ambient = dev.modules.get(Module.IotAmbientLight);
+ * console.log(ambient.ambientlightBrightness);
+ * // 42
+ * console.log(ambient.presets);
+ * // [{ name: 'cloudy', adc: 490, value: 20 }, ...]
+ * await ambient.setBrightnessLimit(30);
+ */
+export class AmbientLight extends IotModule {
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'ambient_light_enabled',
+      name: 'Ambient light enabled',
+      icon: 'mdi:brightness-percent',
+      attributeGetter: 'enabled',
+      attributeSetter: 'setEnabled',
+      type: Feature.Type.Switch,
+      category: Feature.Category.Config,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'ambient_light',
+      name: 'Ambient light',
+      icon: 'mdi:brightness-percent',
+      attributeGetter: 'ambientlightBrightness',
+      unitGetter: () => '%',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Primary,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'ambient_light_threshold',
+      name: 'Ambient light threshold',
+      icon: 'mdi:brightness-percent',
+      attributeGetter: 'brightnessLimit',
+      attributeSetter: 'setBrightnessLimit',
+      unitGetter: () => '%',
+      rangeGetter: () => [0, 100],
+      type: Feature.Type.Number,
+      category: Feature.Category.Config,
+    }));
+  }
+
+  /**
+     * Request configuration and current brightness.
+     * @returns {Object} Query object
+     */
+  query() {
+    const req = this.queryForCommand('get_config');
+    return merge(req, this.queryForCommand('get_current_brt'));
+  }
+
+  /**
+     * Return current ambient light config.
+     * @returns {Object} Sensor configuration
+     */
+  get config() {
+    return this.data.get_config.devs[0];
+  }
+
+  /**
+     * Return the configured auto-brightness thresholds.
+     * @returns {Array<Object>} Threshold presets
+     */
+  get presets() {
+    return this.config.level_array;
+  }
+
+  /**
+     * Return the configured auto-brightness threshold.
+     * @returns {number} Threshold in percentage
+     */
+  get brightnessLimit() {
+    return this.presets[0].value;
+  }
+
+  /**
+     * Return true if the module is enabled.
+     * @returns {boolean} Enabled state
+     */
+  get enabled() {
+    return Boolean(this.config.enable);
+  }
+
+  /**
+     * Return the current ambient light level in percentage.
+     * @returns {number} Ambient light level
+     */
+  get ambientlightBrightness() {
+    return this.data.get_current_brt.value;
+  }
+
+  /**
+     * Enable/disable the auto-brightness.
+     * @param {boolean} state - Whether to enable the sensor
+     * @returns {Promise<Object>} Command result
+     */
+  async setEnabled(state) {
+    return this.call('set_enable', { 'enable': state ? 1 : 0 });
+  }
+
+  /**
+     * Request the current ambient light level from the device.
+     * @returns {Promise<Object>} Current level
+     */
+  async currentBrightness() {
+    return this.call('get_current_brt');
+  }
+
+  /**
+     * Set the auto-brightness threshold.
+     *
+     * See presets for the values used by the app, custom values are allowed.
+     * @param {number} value - Threshold in percentage
+     * @returns {Promise<Object>} Command result
+     */
+  async setBrightnessLimit(value) {
+    return this.call('set_brt_level', { 'index': 0, 'value': value });
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Implementation of the antitheft module.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { Rule, RuleModule, TimeOption } from './rulemodule.js';
+
+/**
+ * Representation of an away mode rule.
+ *
+ * Away mode randomly toggles the device between the start and end of the rule
+ * to simulate presence.
+ */
+export class AntitheftRule extends Rule {
+  /**
+     * Create an away mode rule.
+     * @param {Object} options - Rule options, see Rule for the common ones
+     * @param {number} [options.frequency=5] - How often the device is toggled during the window
+     */
+  constructor({ frequency = 5, ...options } = {}) {
+    super(options);
+    this.frequency = frequency;
+  }
+
+  /**
+     * Create an away mode rule from the device representation.
+     * @param {Object} data - Rule as returned by the device
+     * @returns {AntitheftRule} Rule instance
+     * @static
+     */
+  static fromDict(data) {
+    const rule = Rule.fromDict(data);
+    return new AntitheftRule({ ...rule, frequency: data.frequency });
+  }
+
+  /**
+     * Convert to the device representation.
+     * @returns {Object} Dictionary representation
+     */
+  toDict() {
+    return { ...super.toDict(), frequency: this.frequency };
+  }
+}
+
+/**
+ * Format minutes since midnight as HH:MM.
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Formatted time
+ */
+function formatMinutes(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+}
+
+/**
+ * Format the start or end of a rule.
+ *
+ * Times relative to sunrise or sunset are formatted with their offset in
+ * minutes, e.g. sunset-15.
+ * @param {number} timeOpt - Time option, see TimeOption
+ * @param {number} minutes - Minutes since midnight
+ * @param {number} offset - Offset in minutes from sunrise or sunset
+ * @returns {string} Formatted time
+ */
+function formatTime(timeOpt, minutes, offset) {
+  if (timeOpt === TimeOption.AtSunrise || timeOpt === TimeOption.AtSunset) {
+    const base = timeOpt === TimeOption.AtSunrise ? 'sunrise' : 'sunset';
+    if (!offset) {
+      return base;
+    }
+    return `${base}${offset > 0 ? '+' : ''}${offset}`;
+  }
+  return formatMinutes(minutes);
+}
+
+/**
+ * Parse a time as formatted by formatTime.
+ * @param {string} value - HH:MM, or sunrise/sunset with an optional offset
+ * @returns {{timeOpt: number, minutes: number|null, offset: number}} Time option, minutes and offset
+ * @throws {KasaException} If the value is not a valid time
+ */
+function parseTime(value) {
+  const sun = /^(sunrise|sunset)([+-]\d+)?$/.exec(value);
+  if (sun) {
+    return {
+      timeOpt: sun[1] === 'sunrise' ? TimeOption.AtSunrise : TimeOption.AtSunset,
+      minutes: null,
+      offset: Number(sun[2] ?? 0)
+    };
+  }
+
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (!clock || Number(clock[1]) > 23 || Number(clock[2]) > 59) {
+    throw new KasaException(`Invalid time: ${value}`);
+  }
+  return { timeOpt: TimeOption.Enabled, minutes: Number(clock[1]) * 60 + Number(clock[2]), offset: 0 };
+}
+
+/**
+ * Implementation of the antitheft (away mode) module.
+ *
+ * @example
+ * const awayMode = dev.modules.get(Module.IotAntitheft);
+ * await awayMode.addRule(new AntitheftRule({
+ *   name: 'Vacation',
+ *   wday: [1, 1, 1, 1, 1, 1, 1],
+ *   smin: 18 * 60,
+ *   emin: 23 * 60,
+ *   frequency: 5
+ * }));
+ * await awayMode.setEnabled(true);
+ * await awayMode.setEnd('sunrise+30');
+ */
+export class Antitheft extends RuleModule {
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'away_mode',
+      name: 'Away mode',
+      icon: 'mdi:home-export-outline',
+      attributeGetter: 'enabled',
+      attributeSetter: 'setEnabled',
+      type: Feature.Type.Switch,
+      category: Feature.Category.Config,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'away_mode_start',
+      name: 'Away mode start',
+      attributeGetter: 'start',
+      attributeSetter: 'setStart',
+      type: Feature.Type.Unknown,
+      category: Feature.Category.Config,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'away_mode_end',
+      name: 'Away mode end',
+      attributeGetter: 'end',
+      attributeSetter: 'setEnd',
+      type: Feature.Type.Unknown,
+      category: Feature.Category.Config,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'away_mode_frequency',
+      name: 'Away mode frequency',
+      attributeGetter: 'frequency',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Info,
+    }));
+  }
+
+  /**
+     * Return the list of away mode rules.
+     * @returns {Array<AntitheftRule>} Away mode rules
+     */
+  get rules() {
+    try {
+      return this.data.get_rules.rule_list.map(rule => AntitheftRule.fromDict(rule));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+     * Return the first enabled rule, or the first rule if none is enabled.
+     * @returns {AntitheftRule|null} Active rule
+     */
+  get activeRule() {
+    const rules = this.rules;
+    return rules.find(rule => rule.enable) || rules[0] || null;
+  }
+
+  /**
+     * Return the start of the active away mode window.
+     * @returns {string|null} Start time as HH:MM, or relative to sunrise or sunset
+     */
+  get start() {
+    const rule = this.activeRule;
+    return rule ? formatTime(rule.stimeOpt, rule.smin, rule.soffset) : null;
+  }
+
+  /**
+     * Set the start of the active away mode window.
+     * @param {string} value - HH:MM, or sunrise/sunset with an optional offset like sunset-15
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If there is no rule or the time is invalid
+     */
+  async setStart(value) {
+    const rule = this._requireActiveRule();
+    const { timeOpt, minutes, offset } = parseTime(value);
+    rule.stimeOpt = timeOpt;
+    rule.smin = minutes ?? rule.smin;
+    rule.soffset = offset;
+    return this.editRule(rule);
+  }
+
+  /**
+     * Return the end of the active away mode window.
+     * @returns {string|null} End time as HH:MM, or relative to sunrise or sunset
+     */
+  get end() {
+    const rule = this.activeRule;
+    return rule ? formatTime(rule.etimeOpt, rule.emin, rule.eoffset) : null;
+  }
+
+  /**
+     * Set the end of the active away mode window.
+     * @param {string} value - HH:MM, or sunrise/sunset with an optional offset like sunrise+30
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If there is no rule or the time is invalid
+     */
+  async setEnd(value) {
+    const rule = this._requireActiveRule();
+    const { timeOpt, minutes, offset } = parseTime(value);
+    rule.etimeOpt = timeOpt;
+    rule.emin = minutes ?? rule.emin;
+    rule.eoffset = offset;
+    return this.editRule(rule);
+  }
+
+  /**
+     * Return the active rule to configure.
+     * @returns {AntitheftRule} Active rule
+     * @throws {KasaException} If the device has no away mode rule
+     * @private
+     */
+  _requireActiveRule() {
+    const rule = this.activeRule;
+    if (!rule) {
+      throw new KasaException('No away mode rule to configure, add one with addRule');
+    }
+    return rule;
+  }
+
+  /**
+     * Return the toggle frequency of the active away mode window.
+     * @returns {number|null} Frequency
+     */
+  get frequency() {
+    return this.activeRule?.frequency ?? null;
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Cloud module implementation.
+ */
+
+import { Feature } from '../../feature.js';
+import { IotModule } from '../iotmodule.js';
+
+/**
+ * Module implementing support for cloud services.
+ *
+ * @example
+ * const cloud = dev.modules.get(Module.IotCloud);
+ * console.log(cloud.isConnected);
+ * // true
+ * await cloud.unbind();
+ * await dev.update();
+ * console.log(cloud.isBound);
+ * // false
+ */
+export class Cloud extends IotModule {
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'cloud_connection',
+      name: 'Cloud connection',
+      icon: 'mdi:cloud',
+      attributeGetter: 'isConnected',
+      type: Feature.Type.BinarySensor,
+      category: Feature.Category.Info,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'cloud_server',
+      name: 'Cloud server',
+      icon: 'mdi:cloud',
+      attributeGetter: 'server',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Debug,
+    }));
+  }
+
+  /**
+     * Request cloud connectivity info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return this.queryForCommand('get_info');
+  }
+
+  /**
+     * Return information about the cloud connectivity.
+     * @returns {Object} Cloud info as reported by the device
+     */
+  get info() {
+    return this.data.get_info;
+  }
+
+  /**
+     * Return true if the device is connected to the cloud.
+     * @returns {boolean} Connection state
+     */
+  get isConnected() {
+    return Boolean(this.info.cld_connection);
+  }
+
+  /**
+     * Return true if the device is bound to a cloud account.
+     * @returns {boolean} Binding state
+     */
+  get isBound() {
+    return Boolean(this.info.binded);
+  }
+
+  /**
+     * Return the cloud server the device connects to.
+     * @returns {string} Server hostname
+     */
+  get server() {
+    return this.info.server;
+  }
+
+  /**
+     * Return the username of the bound cloud account.
+     * @returns {string} Username
+     */
+  get username() {
+    return this.info.username;
+  }
+
+  /**
+     * Return the list of available firmwares.
+     * @returns {Promise<Object>} Firmware list
+     */
+  async getAvailableFirmwares() {
+    return this.call('get_intl_fw_list');
+  }
+
+  /**
+     * Set the cloud server url.
+     * @param {string} url - Server url
+     * @returns {Promise<Object>} Command result
+     */
+  async setServer(url) {
+    return this.call('set_server_url', { 'server': url });
+  }
+
+  /**
+     * Bind the device to a cloud account.
+     * @param {string} username - Cloud account username
+     * @param {string} password - Cloud account password
+     * @returns {Promise<Object>} Command result
+     */
+  async bind(username, password) {
+    return this.call('bind', { 'username': username, 'password': password });
+  }
+
+  /**
+     * Unbind the device from its cloud account.
+     * @returns {Promise<Object>} Command result
+     */
+  async unbind() {
+    return this.call('unbind');
+  }
+}
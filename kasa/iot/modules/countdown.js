@@ -0,0 +1,105 @@
+/**
+ * Countdown module implementation.
+ */
+
+import { RuleModule } from './rulemodule.js';
+
+/**
+ * Representation of a countdown rule.
+ */
+export class CountdownRule {
+  /**
+     * Create a countdown rule.
+     * @param {Object} options - Rule options
+     * @param {string|null} [options.id=null] - Rule id, assigned by the device when added
+     * @param {string} [options.name=''] - Rule name
+     * @param {boolean} [options.enable=true] - Whether the countdown is running
+     * @param {number} [options.delay=0] - Delay in seconds until the action is performed
+     * @param {boolean} [options.act=false] - State to switch to when the countdown ends
+     * @param {number|null} [options.remain=null] - Remaining seconds, reported by the device
+     */
+  constructor({ id = null, name = '', enable = true, delay = 0, act = false, remain = null } = {}) {
+    this.id = id;
+    this.name = name;
+    this.enable = enable;
+    this.delay = delay;
+    this.act = act;
+    this.remain = remain;
+  }
+
+  /**
+     * Create a countdown rule from the device representation.
+     * @param {Object} data - Rule as returned by the device
+     * @returns {CountdownRule} Rule instance
+     * @static
+     */
+  static fromDict(data) {
+    return new CountdownRule({
+      id: data.id,
+      name: data.name,
+      enable: Boolean(data.enable),
+      delay: data.delay,
+      act: Boolean(data.act),
+      remain: data.remain ?? null
+    });
+  }
+
+  /**
+     * Convert to the device representation.
+     * The remaining time is read-only and not included.
+     * @returns {Object} Dictionary representation
+     */
+  toDict() {
+    const result = {
+      name: this.name,
+      enable: this.enable ? 1 : 0,
+      delay: this.delay,
+      act: this.act ? 1 : 0
+    };
+    if (this.id !== null) result.id = this.id;
+    return result;
+  }
+}
+
+/**
+ * Implementation of countdown module.
+ *
+ * @example
+ * const countdown = dev.modules.get(Module.IotCountdown);
+ *
+ * // Turn the device off in ten minutes
+ * await countdown.addRule(new CountdownRule({ delay: 600, act: false }));
+ * await dev.update();
+ * console.log(countdown.rules[0].remain);
+ * // 598
+ */
+export class Countdown extends RuleModule {
+  /**
+     * Prepare the query for countdown rules.
+     * @returns {Object} Query object
+     */
+  query() {
+    return this.queryForCommand('get_rules');
+  }
+
+  /**
+     * Return the list of countdown rules.
+     * @returns {Array<CountdownRule>} Countdown rules
+     */
+  get rules() {
+    try {
+      return this.data.get_rules.rule_list.map(rule => CountdownRule.fromDict(rule));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+     * Return the running countdown.
+     * The countdown service has no get_next_action, so this is derived from the rules.
+     * @returns {CountdownRule|null} Enabled rule with time remaining, or null
+     */
+  get nextAction() {
+    return this.rules.find(rule => rule.enable && rule.remain) ?? null;
+  }
+}
@@ -0,0 +1,390 @@
+/**
+ * Implementation of the dimmer config module found in dimmers.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { IotModule, merge } from '../iotmodule.js';
+
+/**
+ * Button action enum.
+ */
+export const ButtonAction = {
+  NoAction: 'none',
+  Instant: 'instant_on_off',
+  Gentle: 'gentle_on_off',
+  Preset: 'customize_preset'
+};
+
+/**
+ * Action type enum.
+ */
+export const ActionType = {
+  DoubleClick: 'double_click_action',
+  LongPress: 'long_press_action'
+};
+
+/**
+ * Fade on/off setting enum.
+ */
+export const FadeType = {
+  FadeOn: 'fade_on',
+  FadeOff: 'fade_off'
+};
+
+/**
+ * Implements the dimmer config module.
+ *
+ * All times are in milliseconds.
+ *
+ * @example
+ * const dimmer = dev.modules.get(Module.IotDimmer);
+ * console.log(dimmer.fadeOnTime);
+ * // 1000
+ * await dimmer.setRampRate(30);
+ * await dimmer.setButtonAction(ActionType.DoubleClick, ButtonAction.Gentle);
+ */
+export class Dimmer extends IotModule {
+  static THRESHOLD_ABS_MIN = 0;
+  // Strange value, but verified against hardware (KS220).
+  static THRESHOLD_ABS_MAX = 51;
+  static FADE_TIME_ABS_MIN = 0;
+  // Arbitrary, but set low intending GENTLE FADE for longer fades.
+  static FADE_TIME_ABS_MAX = 10000;
+  static GENTLE_TIME_ABS_MIN = 0;
+  // Arbitrary, but reasonable default.
+  static GENTLE_TIME_ABS_MAX = 120000;
+  // Verified against KS220.
+  static RAMP_RATE_ABS_MIN = 10;
+  static RAMP_RATE_ABS_MAX = 50;
+  // Preset actions need an index, so they are only available through setButtonAction.
+  static BUTTON_ACTION_CHOICES = Object.values(ButtonAction).filter(action => action !== ButtonAction.Preset);
+
+  /**
+     * Initialize features after the initial update.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+    const addNumber = ({ id, name, icon, attribute, rangeGetter, unit = null }) => {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id,
+        name,
+        icon,
+        attributeGetter: attribute,
+        attributeSetter: `set${attribute[0].toUpperCase()}${attribute.slice(1)}`,
+        rangeGetter,
+        unitGetter: unit === null ? null : () => unit,
+        type: Feature.Type.Number,
+        category: Feature.Category.Config,
+      }));
+    };
+
+    addNumber({
+      id: 'dimmer_threshold_min',
+      name: 'Minimum dimming level',
+      icon: 'mdi:lightbulb-on-20',
+      attribute: 'thresholdMin',
+      rangeGetter: () => [Dimmer.THRESHOLD_ABS_MIN, Dimmer.THRESHOLD_ABS_MAX],
+    });
+    addNumber({
+      id: 'dimmer_fade_off_time',
+      name: 'Dimmer fade off time',
+      icon: 'mdi:clock-in',
+      attribute: 'fadeOffTime',
+      rangeGetter: () => [Dimmer.FADE_TIME_ABS_MIN, Dimmer.FADE_TIME_ABS_MAX],
+      unit: 'ms',
+    });
+    addNumber({
+      id: 'dimmer_fade_on_time',
+      name: 'Dimmer fade on time',
+      icon: 'mdi:clock-out',
+      attribute: 'fadeOnTime',
+      rangeGetter: () => [Dimmer.FADE_TIME_ABS_MIN, Dimmer.FADE_TIME_ABS_MAX],
+      unit: 'ms',
+    });
+    addNumber({
+      id: 'dimmer_gentle_off_time',
+      name: 'Dimmer gentle off time',
+      icon: 'mdi:clock-in',
+      attribute: 'gentleOffTime',
+      rangeGetter: () => [Dimmer.GENTLE_TIME_ABS_MIN, Dimmer.GENTLE_TIME_ABS_MAX],
+      unit: 'ms',
+    });
+    addNumber({
+      id: 'dimmer_gentle_on_time',
+      name: 'Dimmer gentle on time',
+      icon: 'mdi:clock-out',
+      attribute: 'gentleOnTime',
+      rangeGetter: () => [Dimmer.GENTLE_TIME_ABS_MIN, Dimmer.GENTLE_TIME_ABS_MAX],
+      unit: 'ms',
+    });
+    addNumber({
+      id: 'dimmer_ramp_rate',
+      name: 'Dimmer ramp rate',
+      icon: 'mdi:time-fast',
+      attribute: 'rampRate',
+      rangeGetter: () => [Dimmer.RAMP_RATE_ABS_MIN, Dimmer.RAMP_RATE_ABS_MAX],
+    });
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'dimmer_double_click_action',
+      name: 'Double click action',
+      icon: 'mdi:gesture-double-tap',
+      attributeGetter: 'doubleClickAction',
+      attributeSetter: 'setDoubleClickAction',
+      choicesGetter: () => Dimmer.BUTTON_ACTION_CHOICES,
+      type: Feature.Type.Choice,
+      category: Feature.Category.Config,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'dimmer_long_press_action',
+      name: 'Long press action',
+      icon: 'mdi:gesture-tap-hold',
+      attributeGetter: 'longPressAction',
+      attributeSetter: 'setLongPressAction',
+      choicesGetter: () => Dimmer.BUTTON_ACTION_CHOICES,
+      type: Feature.Type.Choice,
+      category: Feature.Category.Config,
+    }));
+  }
+
+  /**
+     * Request Dimming configuration and button behaviors.
+     * @returns {Object} Query object
+     */
+  query() {
+    const req = this.queryForCommand('get_dimmer_parameters');
+    return merge(req, this.queryForCommand('get_default_behavior'));
+  }
+
+  /**
+     * Return current configuration.
+     * @returns {Object} Dimmer parameters
+     */
+  get config() {
+    return this.data.get_dimmer_parameters;
+  }
+
+  /**
+     * Return the button behaviors.
+     * @returns {Object} Button behaviors
+     */
+  get behaviors() {
+    return this.data.get_default_behavior;
+  }
+
+  /**
+     * Return the minimum dimming level for this dimmer.
+     * @returns {number} Minimum threshold
+     */
+  get thresholdMin() {
+    return this.config.minThreshold;
+  }
+
+  /**
+     * Set the minimum dimming level for this dimmer.
+     *
+     * The value will depend on the luminaries connected to the dimmer.
+     * @param {number} min - The minimum dimming level, in the range 0-51
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the value is out of range
+     */
+  async setThresholdMin(min) {
+    if (min < Dimmer.THRESHOLD_ABS_MIN || min > Dimmer.THRESHOLD_ABS_MAX) {
+      throw new KasaException(
+        'Minimum dimming threshold is outside the supported range: ' +
+        `${Dimmer.THRESHOLD_ABS_MIN}-${Dimmer.THRESHOLD_ABS_MAX}`
+      );
+    }
+    return this.call('calibrate_brightness', { 'minThreshold': min });
+  }
+
+  /**
+     * Return the fade off animation duration.
+     * @returns {number} Duration in milliseconds
+     */
+  get fadeOffTime() {
+    return this.config.fadeOffTime;
+  }
+
+  /**
+     * Set the duration of the fade off animation.
+     * @param {number} time - The animation duration, in milliseconds
+     * @returns {Promise<Object>} Command result
+     */
+  async setFadeOffTime(time) {
+    return this._setFadeTime(FadeType.FadeOff, time);
+  }
+
+  /**
+     * Return the fade on animation duration.
+     * @returns {number} Duration in milliseconds
+     */
+  get fadeOnTime() {
+    return this.config.fadeOnTime;
+  }
+
+  /**
+     * Set the duration of the fade on animation.
+     * @param {number} time - The animation duration, in milliseconds
+     * @returns {Promise<Object>} Command result
+     */
+  async setFadeOnTime(time) {
+    return this._setFadeTime(FadeType.FadeOn, time);
+  }
+
+  /**
+     * Set the duration of a fade animation.
+     * @param {string} fadeType - Fade type, see FadeType
+     * @param {number} time - The animation duration, in milliseconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the value is out of range
+     * @private
+     */
+  async _setFadeTime(fadeType, time) {
+    if (time < Dimmer.FADE_TIME_ABS_MIN || time > Dimmer.FADE_TIME_ABS_MAX) {
+      throw new KasaException(
+        'Fade time is outside the bounds of the supported range: ' +
+        `${Dimmer.FADE_TIME_ABS_MIN}-${Dimmer.FADE_TIME_ABS_MAX}`
+      );
+    }
+    return this.call(`set_${fadeType}_time`, { 'fadeTime': time });
+  }
+
+  /**
+     * Return the gentle fade off animation duration.
+     * @returns {number} Duration in milliseconds
+     */
+  get gentleOffTime() {
+    return this.config.gentleOffTime;
+  }
+
+  /**
+     * Set the duration of the gentle fade off animation.
+     * @param {number} time - The animation duration, in milliseconds
+     * @returns {Promise<Object>} Command result
+     */
+  async setGentleOffTime(time) {
+    return this._setGentleTime('set_gentle_off_time', time);
+  }
+
+  /**
+     * Return the gentle fade on animation duration.
+     * @returns {number} Duration in milliseconds
+     */
+  get gentleOnTime() {
+    return this.config.gentleOnTime;
+  }
+
+  /**
+     * Set the duration of the gentle fade on animation.
+     * @param {number} time - The animation duration, in milliseconds
+     * @returns {Promise<Object>} Command result
+     */
+  async setGentleOnTime(time) {
+    return this._setGentleTime('set_gentle_on_time', time);
+  }
+
+  /**
+     * Set the duration of a gentle fade animation.
+     * @param {string} method - Device method to call
+     * @param {number} time - The animation duration, in milliseconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the value is out of range
+     * @private
+     */
+  async _setGentleTime(method, time) {
+    if (time < Dimmer.GENTLE_TIME_ABS_MIN || time > Dimmer.GENTLE_TIME_ABS_MAX) {
+      throw new KasaException(
+        'Gentle fade time is outside the bounds of the supported range: ' +
+        `${Dimmer.GENTLE_TIME_ABS_MIN}-${Dimmer.GENTLE_TIME_ABS_MAX}`
+      );
+    }
+    return this.call(method, { 'duration': time });
+  }
+
+  /**
+     * Return the rate that the dimmer buttons increment the dimmer level.
+     * @returns {number} Ramp rate
+     */
+  get rampRate() {
+    return this.config.rampRate;
+  }
+
+  /**
+     * Set how quickly to ramp the dimming level when using the dimmer buttons.
+     * @param {number} rate - The rate to increment the dimming level with each press
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the value is out of range
+     */
+  async setRampRate(rate) {
+    if (rate < Dimmer.RAMP_RATE_ABS_MIN || rate > Dimmer.RAMP_RATE_ABS_MAX) {
+      throw new KasaException(
+        'Rate is outside the bounds of the supported range: ' +
+        `${Dimmer.RAMP_RATE_ABS_MIN}-${Dimmer.RAMP_RATE_ABS_MAX}`
+      );
+    }
+    return this.call('set_button_ramp_rate', { 'rampRate': rate });
+  }
+
+  /**
+     * Return the action performed on double click.
+     * @returns {string} Button action, see ButtonAction
+     */
+  get doubleClickAction() {
+    return this.behaviors.double_click?.mode;
+  }
+
+  /**
+     * Set the action performed on double click.
+     * @param {string} action - Button action, see ButtonAction
+     * @returns {Promise<Object>} Command result
+     */
+  async setDoubleClickAction(action) {
+    return this.setButtonAction(ActionType.DoubleClick, action);
+  }
+
+  /**
+     * Return the action performed on long press.
+     * @returns {string} Button action, see ButtonAction
+     */
+  get longPressAction() {
+    return this.behaviors.long_press?.mode;
+  }
+
+  /**
+     * Set the action performed on long press.
+     * @param {string} action - Button action, see ButtonAction
+     * @returns {Promise<Object>} Command result
+     */
+  async setLongPressAction(action) {
+    return this.setButtonAction(ActionType.LongPress, action);
+  }
+
+  /**
+     * Set action to perform on button click/hold.
+     * @param {string} actionType - Whether to control double click or hold action, see ActionType
+     * @param {string} action - What should the button do, see ButtonAction
+     * @param {number|null} [index=null] - In case of preset change, the preset to select
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If a preset action is set without index
+     */
+  async setButtonAction(actionType, action, index = null) {
+    if (action === ButtonAction.Preset && index === null) {
+      throw new KasaException('A preset index is required for the preset action');
+    }
+
+    const payload = { 'mode': action };
+    if (index !== null) {
+      payload.index = index;
+    }
+    return this.call(`set_${actionType}`, payload);
+  }
+}
@@ -3,14 +3,21 @@
  * This module provides energy monitoring functionality for IoT devices.
  */
 
-import { IotModule } from '../iotmodule.js';
-import { Feature } from '../../feature.js';
+import { EmeterStatus } from '../../emeterstatus.js';
+import { Energy } from '../../interfaces/energy.js';
+import { IotModuleMixin, merge } from '../iotmodule.js';
 
 /**
  * Implementation for energy meter (emeter) module.
- * This module provides energy monitoring functionality.
+ *
+ * @example
+ * const energy = dev.modules.get(Module.Energy);
+ * console.log(energy.currentConsumption);
+ * // 12.5
+ * console.log(await energy.getDailyStats({ year: 2024, month: 1 }));
+ * // { 1: 0.254, 2: 0.3, ... }
  */
-export class Emeter extends IotModule {
+export class Emeter extends IotModuleMixin(Energy) {
   /**
      * Create a new Emeter module.
      * @param {IotDevice} device - The device instance
@@ -25,111 +32,248 @@ export class Emeter extends IotModule {
      * @returns {Object} Query object
      */
   query() {
-    return {
-      get_realtime: {},
-      get_daystat: { month: new Date().getMonth() + 1, year: new Date().getFullYear() },
-      get_monthstat: { year: new Date().getFullYear() }
-    };
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+
+    const req = this.queryForCommand('get_realtime');
+    merge(req, this.queryForCommand('get_daystat', { year, month }));
+    return merge(req, this.queryForCommand('get_monthstat', { year }));
+  }
+
+  /**
+     * Estimated maximum size of query response.
+     * @returns {number} Estimated size in bytes
+     */
+  get estimatedQueryResponseSize() {
+    return 1024; // Emeter responses can be larger due to stats
+  }
+
+  /**
+     * Update the supported features after a device update.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    this._supported = Energy.ModuleFeature.PERIODIC_STATS;
+    const realtime = this.data.get_realtime;
+    if ('voltage_mv' in realtime || 'voltage' in realtime) {
+      this._supported |= Energy.ModuleFeature.VOLTAGE_CURRENT;
+    }
+    if ('total_wh' in realtime || 'total' in realtime) {
+      this._supported |= Energy.ModuleFeature.CONSUMPTION_TOTAL;
+    }
+  }
+
+  /**
+     * Return current energy readings.
+     * @returns {EmeterStatus} Energy status
+     */
+  get status() {
+    return new EmeterStatus(this.data.get_realtime);
   }
 
   /**
-     * Get current power consumption in watts.
-     * @returns {number|null} Current power in watts
+     * Get the current power consumption in Watt.
+     * @returns {number|null} Current consumption in watts
      */
   get currentConsumption() {
-    const realtime = this.realtimeData;
-    if (!realtime) return null;
-        
-    // Handle different response formats
-    return realtime.power || realtime.power_mw / 1000 || 0;
+    return this.status.power;
   }
 
   /**
-     * Get current voltage.
-     * @returns {number|null} Current voltage in volts
+     * Return total consumption since last reboot in kWh.
+     * @returns {number|null} Total consumption in kWh
      */
-  get voltage() {
-    const realtime = this.realtimeData;
-    if (!realtime) return null;
-        
-    return realtime.voltage || realtime.voltage_mv / 1000 || 0;
+  get consumptionTotal() {
+    return this.status.total;
   }
 
   /**
-     * Get current amperage.
-     * @returns {number|null} Current amperage in amperes
+     * Return the current in A.
+     * @returns {number|null} Current in amperes
      */
   get current() {
-    const realtime = this.realtimeData;
-    if (!realtime) return null;
-        
-    return realtime.current || realtime.current_ma / 1000 || 0;
+    return this.status.current;
   }
 
   /**
-     * Get total energy consumption.
-     * @returns {number|null} Total energy in kWh
+     * Get the current voltage in V.
+     * @returns {number|null} Voltage in volts
      */
-  get totalConsumption() {
-    const realtime = this.realtimeData;
-    if (!realtime) return null;
-        
-    return realtime.total || realtime.total_wh / 1000 || 0;
+  get voltage() {
+    return this.status.voltage;
+  }
+
+  /**
+     * Get daily statistics for the current month.
+     * @returns {Array} Daily statistics as reported by the device
+     */
+  get dailyData() {
+    return this.data.get_daystat?.day_list || [];
+  }
+
+  /**
+     * Get monthly statistics for the current year.
+     * @returns {Array} Monthly statistics as reported by the device
+     */
+  get monthlyData() {
+    return this.data.get_monthstat?.month_list || [];
   }
 
   /**
-     * Get realtime energy data.
+     * Get the realtime data as reported by the device.
      * @returns {Object|null} Realtime data
+     * @deprecated Use status instead
      */
   get realtimeData() {
-    try {
-      const data = this.data;
-      return data?.get_realtime || null;
-    } catch {
-      return null;
-    }
+    return this.data.get_realtime || null;
   }
 
   /**
-     * Get daily statistics.
-     * @returns {Array|null} Daily statistics
+     * Get total energy consumption in kWh.
+     * @returns {number|null} Total consumption in kWh
+     * @deprecated Use consumptionTotal instead
+     */
+  get totalConsumption() {
+    return this.consumptionTotal;
+  }
+
+  /**
+     * Get daily statistics for the current month.
+     * @returns {Array} Daily statistics as reported by the device
+     * @deprecated Use dailyData instead
      */
   get dailyStats() {
-    try {
-      const data = this.data;
-      return data?.get_daystat?.day_list || [];
-    } catch {
-      return [];
-    }
+    return this.dailyData;
   }
 
   /**
-     * Get monthly statistics.
-     * @returns {Array|null} Monthly statistics
+     * Get monthly statistics for the current year.
+     * @returns {Array} Monthly statistics as reported by the device
+     * @deprecated Use monthlyData instead
      */
   get monthlyStats() {
-    try {
-      const data = this.data;
-      return data?.get_monthstat?.month_list || [];
-    } catch {
-      return [];
-    }
+    return this.monthlyData;
   }
 
   /**
-     * Check if the emeter is supported.
-     * @returns {boolean} True if supported
+     * Return today's energy consumption in kWh.
+     * @returns {number} Today's consumption in kWh
      */
-  get isSupported() {
-    // Basic check - if we have any realtime data, consider it supported
-    return super.isSupported && this.realtimeData !== null;
+  get consumptionToday() {
+    const today = new Date().getDate();
+    const data = this._convertStatData(this.dailyData, 'day', { key: today });
+    return data[today] ?? 0.0;
   }
 
   /**
-     * Estimated maximum size of query response.
-     * @returns {number} Estimated size in bytes
+     * Return this month's energy consumption in kWh.
+     * @returns {number} This month's consumption in kWh
      */
-  get estimatedQueryResponseSize() {
-    return 1024; // Emeter responses can be larger due to stats
+  get consumptionThisMonth() {
+    const thisMonth = new Date().getMonth() + 1;
+    const data = this._convertStatData(this.monthlyData, 'month', { key: thisMonth });
+    return data[thisMonth] ?? 0.0;
+  }
+
+  /**
+     * Return real-time statistics.
+     * @returns {Promise<EmeterStatus>} Energy status
+     */
+  async getStatus() {
+    return new EmeterStatus(await this.call('get_realtime'));
+  }
+
+  /**
+     * Erase all stats.
+     * @returns {Promise<Object>} Command result
+     */
+  async eraseStats() {
+    return this.call('erase_emeter_stat');
+  }
+
+  /**
+     * Return raw daily stats for the given year & month.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {number|null} [options.month=null] - Month, defaults to the current month
+     * @returns {Promise<Object>} Raw response
+     */
+  async getRawDaystat({ year = null, month = null } = {}) {
+    const now = new Date();
+    return this.call('get_daystat', {
+      year: year ?? now.getFullYear(),
+      month: month ?? now.getMonth() + 1
+    });
+  }
+
+  /**
+     * Return raw monthly stats for the given year.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @returns {Promise<Object>} Raw response
+     */
+  async getRawMonthstat({ year = null } = {}) {
+    return this.call('get_monthstat', { year: year ?? new Date().getFullYear() });
+  }
+
+  /**
+     * Return daily stats for the given year & month.
+     *
+     * The return value is a dictionary of {day: energy, ...}.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {number|null} [options.month=null] - Month, defaults to the current month
+     * @param {boolean} [options.kwh=true] - Return kWh, Wh otherwise
+     * @returns {Promise<Object>} Energy per day
+     */
+  async getDailyStats({ year = null, month = null, kwh = true } = {}) {
+    const data = await this.getRawDaystat({ year, month });
+    return this._convertStatData(data.day_list, 'day', { kwh });
+  }
+
+  /**
+     * Return monthly stats for the given year.
+     *
+     * The return value is a dictionary of {month: energy, ...}.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {boolean} [options.kwh=true] - Return kWh, Wh otherwise
+     * @returns {Promise<Object>} Energy per month
+     */
+  async getMonthlyStats({ year = null, kwh = true } = {}) {
+    const data = await this.getRawMonthstat({ year });
+    return this._convertStatData(data.month_list, 'month', { kwh });
+  }
+
+  /**
+     * Return emeter information keyed with the day/month.
+     *
+     * Newer devices report the energy in Wh (energy_wh), older ones in kWh (energy).
+     * @param {Array} data - Entries as returned by the device
+     * @param {string} entryKey - Key to use for the result, day or month
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.kwh=true] - Return kWh, Wh otherwise
+     * @param {number|null} [options.key=null] - Only return the entry for this day/month
+     * @returns {Object} Energy keyed by entry
+     * @private
+     */
+  _convertStatData(data, entryKey, { kwh = true, key = null } = {}) {
+    if (!data || data.length === 0) {
+      return {};
+    }
+
+    let valueKey = 'energy';
+    let scale = kwh ? 1 : 1000;
+    if ('energy_wh' in data[0]) {
+      valueKey = 'energy_wh';
+      scale = kwh ? 1 / 1000 : 1;
+    }
+
+    return Object.fromEntries(
+      data
+        .filter(entry => key === null || entry[entryKey] === key)
+        .map(entry => [entry[entryKey], entry[valueKey] * scale])
+    );
   }
-}
\ No newline at end of file
+}
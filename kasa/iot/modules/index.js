@@ -0,0 +1,25 @@
+/**
+ * Module for individual feature modules.
+ */
+
+export { AmbientLight } from './ambientlight.js';
+export { Antitheft, AntitheftRule } from './antitheft.js';
+export { Cloud } from './cloud.js';
+export { Countdown, CountdownRule } from './countdown.js';
+export { ActionType, ButtonAction, Dimmer, FadeType } from './dimmer.js';
+export { Emeter } from './emeter.js';
+export { Led } from './led.js';
+export { Light } from './light.js';
+export { LightEffect } from './lighteffect.js';
+export { IotLightPreset, LightPreset } from './lightpreset.js';
+export { Motion, Range } from './motion.js';
+export { Action, Rule, RuleModule, TimeOption } from './rulemodule.js';
+export { Schedule } from './schedule.js';
+export { Time } from './time.js';
+export {
+  BehaviorMode,
+  TurnOnBehavior,
+  TurnOnBehaviorModule,
+  TurnOnBehaviors
+} from './turnonbehavior.js';
+export { Usage } from './usage.js';
@@ -0,0 +1,63 @@
+/**
+ * Module for led controls.
+ */
+
+import { Led as LedInterface } from '../../interfaces/led.js';
+import { IotModuleMixin } from '../iotmodule.js';
+
+/**
+ * Implementation of led controls.
+ *
+ * The led state is read from the led_off flag of the sysinfo.
+ *
+ * @example
+ * const led = dev.modules.get(Module.Led);
+ * await led.setLed(false);
+ * await dev.update();
+ * console.log(led.led);
+ * // false
+ */
+export class Led extends IotModuleMixin(LedInterface) {
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The led state is part of the sysinfo.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * LED mode setting.
+     * @returns {string} 'on' or 'off'
+     */
+  get mode() {
+    return this.data.led_off ? 'off' : 'on';
+  }
+
+  /**
+     * Return the state of the led.
+     * @returns {boolean} LED status
+     */
+  get led() {
+    return this.mode === 'on';
+  }
+
+  /**
+     * Set the state of the led (night mode).
+     * @param {boolean} enable - Whether to enable the led
+     * @returns {Promise<Object>} Command result
+     */
+  async setLed(enable) {
+    return this.call('set_led_off', { 'off': enable ? 0 : 1 });
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     * @returns {boolean} Is supported
+     */
+  get isSupported() {
+    return 'led_off' in this.data;
+  }
+}
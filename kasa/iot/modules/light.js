@@ -0,0 +1,290 @@
+/**
+ * Implementation of the light module for IOT devices.
+ */
+
+import { DeviceType } from '../../deviceType.js';
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { HSV, Light as LightInterface, LightState } from '../../interfaces/light.js';
+import { IotModuleMixin } from '../iotmodule.js';
+
+const BRIGHTNESS_MIN = 0;
+const BRIGHTNESS_MAX = 100;
+
+/**
+ * Implementation of the light module.
+ *
+ * The light state is read from the sysinfo, so the module does not add
+ * anything to the update query. Bulbs and light strips support color and
+ * color temperature, dimmers only support the brightness.
+ *
+ * @example
+ * const light = dev.modules.get(Module.Light);
+ * await light.setBrightness(50);
+ * await light.setState(new LightState({ lightOn: true, hue: 120, saturation: 80 }));
+ * await dev.update();
+ * console.log(light.state);
+ * // LightState { lightOn: true, brightness: 50, hue: 120, saturation: 80, ... }
+ */
+export class Light extends IotModuleMixin(LightInterface) {
+  /**
+     * Create a new Light module.
+     * @param {IotDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._lightState = new LightState();
+  }
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+
+    if (device._isDimmable) {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id: 'brightness',
+        name: 'Brightness',
+        attributeGetter: 'brightness',
+        attributeSetter: 'setBrightness',
+        rangeGetter: () => [BRIGHTNESS_MIN, BRIGHTNESS_MAX],
+        unitGetter: () => '%',
+        type: Feature.Type.Number,
+        category: Feature.Category.Primary,
+      }));
+    }
+
+    if (device._isVariableColorTemp) {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id: 'color_temp',
+        name: 'Color temperature',
+        attributeGetter: 'colorTemp',
+        attributeSetter: 'setColorTemp',
+        rangeGetter: () => {
+          const range = this.validTemperatureRange;
+          return [range.min, range.max];
+        },
+        unitGetter: () => 'K',
+        type: Feature.Type.Number,
+        category: Feature.Category.Primary,
+      }));
+    }
+
+    if (device._isColor) {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id: 'hsv',
+        name: 'HSV',
+        attributeGetter: 'hsv',
+        attributeSetter: 'setHsv',
+        type: Feature.Type.Unknown,
+        category: Feature.Category.Primary,
+      }));
+    }
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The light state is part of the sysinfo.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return the device if it is a bulb or a light strip.
+     * @returns {IotBulb|null} Bulb device
+     * @private
+     */
+  _getBulbDevice() {
+    const deviceType = this._device.deviceType;
+    if (deviceType === DeviceType.Bulb || deviceType === DeviceType.LightStrip) {
+      return this._device;
+    }
+    return null;
+  }
+
+  /**
+     * Return the current brightness in percentage.
+     * @returns {number} Brightness percentage
+     */
+  get brightness() {
+    return this._device.brightness;
+  }
+
+  /**
+     * Set the brightness in percentage.
+     * @param {number} brightness - Brightness in percent
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.transition=null] - Transition in milliseconds
+     * @returns {Promise<Object>} Command result
+     */
+  async setBrightness(brightness, { transition = null } = {}) {
+    return this._device.setBrightness(brightness, { transition });
+  }
+
+  /**
+     * Return the current HSV state of the bulb.
+     * @returns {HSV} Hue, saturation and value (degrees, %, %)
+     * @throws {KasaException} If the light does not support color
+     */
+  get hsv() {
+    const bulb = this._getBulbDevice();
+    if (bulb === null || !bulb._isColor) {
+      throw new KasaException('Light does not support color.');
+    }
+
+    const { hue, saturation, value } = bulb.hsv;
+    return new HSV(hue, saturation, value);
+  }
+
+  /**
+     * Set new HSV.
+     * @param {number} hue - Hue in degrees
+     * @param {number} saturation - Saturation in percentage [0,100]
+     * @param {number|null} [value=null] - Value in percentage [0, 100]
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.transition=null] - Transition in milliseconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the light does not support color
+     */
+  async setHsv(hue, saturation, value = null, { transition = null } = {}) {
+    const bulb = this._getBulbDevice();
+    if (bulb === null || !bulb._isColor) {
+      throw new KasaException('Light does not support color.');
+    }
+
+    return bulb.setHsv(hue, saturation, value ?? this.brightness, { transition });
+  }
+
+  /**
+     * Return the device-specific white temperature range (in Kelvin).
+     * @returns {Object} White temperature range in Kelvin (min, max)
+     * @throws {KasaException} If the light does not support color temperature
+     */
+  get validTemperatureRange() {
+    const bulb = this._getBulbDevice();
+    if (bulb === null || !bulb._isVariableColorTemp) {
+      throw new KasaException('Light does not support colortemp.');
+    }
+
+    return bulb.validTemperatureRange;
+  }
+
+  /**
+     * Return current color temperature in Kelvin.
+     * @returns {number} Color temperature
+     * @throws {KasaException} If the light does not support color temperature
+     */
+  get colorTemp() {
+    const bulb = this._getBulbDevice();
+    if (bulb === null || !bulb._isVariableColorTemp) {
+      throw new KasaException('Light does not support colortemp.');
+    }
+
+    return bulb.colorTemp;
+  }
+
+  /**
+     * Set the color temperature of the device in kelvin.
+     * @param {number} temp - The new color temperature, in Kelvin
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.brightness=null] - Brightness to set
+     * @param {number|null} [options.transition=null] - Transition in milliseconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the light does not support color temperature
+     */
+  async setColorTemp(temp, { brightness = null, transition = null } = {}) {
+    const bulb = this._getBulbDevice();
+    if (bulb === null || !bulb._isVariableColorTemp) {
+      throw new KasaException('Light does not support colortemp.');
+    }
+
+    return bulb.setColorTemp(temp, { brightness, transition });
+  }
+
+  /**
+     * Update the light state after a device update.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    const device = this._device;
+    if (!device.isOn) {
+      this._lightState = new LightState({ lightOn: false });
+      return;
+    }
+
+    const state = new LightState({ lightOn: true });
+    if (device._isDimmable) {
+      state.brightness = this.brightness;
+    }
+    if (this._getBulbDevice() !== null) {
+      if (device._isColor) {
+        const hsv = this.hsv;
+        state.hue = hsv.hue;
+        state.saturation = hsv.saturation;
+      }
+      if (device._isVariableColorTemp) {
+        state.colorTemp = this.colorTemp;
+      }
+    }
+    this._lightState = state;
+  }
+
+  /**
+     * Return the current light state.
+     * @returns {LightState} Light state
+     */
+  get state() {
+    return this._lightState;
+  }
+
+  /**
+     * Set the light state.
+     *
+     * Values left as null in the state are not changed on the device.
+     * @param {LightState} state - New light state
+     * @returns {Promise<Object>} Command result
+     */
+  async setState(state) {
+    const transition = state.transition;
+    const bulb = this._getBulbDevice();
+
+    if (bulb === null) {
+      if (state.lightOn === false || state.brightness === 0) {
+        return this._device.turnOff({ transition });
+      }
+      if (state.brightness !== null) {
+        return this.setBrightness(state.brightness, { transition });
+      }
+      return this._device.turnOn({ transition });
+    }
+
+    const params = {
+      on_off: state.lightOn === null ? null : (state.lightOn ? 1 : 0),
+      brightness: state.brightness,
+      hue: state.hue,
+      saturation: state.saturation,
+      color_temp: state.colorTemp
+    };
+    // A brightness of 0 turns off the light, it is not a valid brightness
+    if (state.brightness === 0) {
+      params.on_off = 0;
+      params.brightness = null;
+    }
+
+    return bulb._setLightState(
+      Object.fromEntries(Object.entries(params).filter(([, v]) => v !== null && v !== undefined)),
+      { transition }
+    );
+  }
+}
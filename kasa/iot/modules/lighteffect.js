@@ -0,0 +1,115 @@
+/**
+ * Module for light effects.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { LightEffect as LightEffectInterface } from '../../interfaces/lighteffect.js';
+import { EFFECT_MAPPING_V1, EFFECT_NAMES_V1 } from '../effects.js';
+import { IotModuleMixin } from '../iotmodule.js';
+
+/**
+ * Implementation of dynamic light effects.
+ *
+ * The active effect is read from the lighting_effect_state of the sysinfo.
+ *
+ * @example
+ * const lightEffect = dev.modules.get(Module.LightEffect);
+ * console.log(lightEffect.effectList);
+ * // ['Off', 'Aurora', 'Bubbling Cauldron', ...]
+ * await lightEffect.setEffect('Aurora', { brightness: 50 });
+ * await dev.update();
+ * console.log(lightEffect.effect);
+ * // Aurora
+ */
+export class LightEffect extends IotModuleMixin(LightEffectInterface) {
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The effect state is part of the sysinfo.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return the effect state as reported by the device.
+     * @returns {Object} Effect state
+     * @private
+     */
+  get _effectState() {
+    return this.data.lighting_effect_state;
+  }
+
+  /**
+     * Return effect name.
+     * @returns {string} Effect name, LIGHT_EFFECTS_OFF if no effect is active
+     */
+  get effect() {
+    const state = this._effectState;
+    if (state.enable) {
+      return state.name || LightEffectInterface.LIGHT_EFFECTS_UNNAMED_CUSTOM;
+    }
+    return LightEffectInterface.LIGHT_EFFECTS_OFF;
+  }
+
+  /**
+     * Return built-in effects list.
+     * @returns {Array<string>} Effect names
+     */
+  get effectList() {
+    return [LightEffectInterface.LIGHT_EFFECTS_OFF, ...EFFECT_NAMES_V1];
+  }
+
+  /**
+     * Set an effect on the device.
+     *
+     * If brightness or transition is defined,
+     * its value will be used instead of the effect-specific default.
+     *
+     * Setting LIGHT_EFFECTS_OFF turns the active effect off.
+     * @param {string} effect - Name of the effect to set
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.brightness=null] - Brightness
+     * @param {number|null} [options.transition=null] - Transition time in milliseconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the effect is not a built-in effect
+     */
+  async setEffect(effect, { brightness = null, transition = null } = {}) {
+    if (effect === LightEffectInterface.LIGHT_EFFECTS_OFF) {
+      const current = EFFECT_MAPPING_V1[this.effect] ?? this._effectState;
+      return this.setCustomEffect({ ...current, enable: 0 });
+    }
+
+    if (!(effect in EFFECT_MAPPING_V1)) {
+      throw new KasaException(`The effect ${effect} is not a built in effect.`);
+    }
+
+    const effectDict = { ...EFFECT_MAPPING_V1[effect] };
+    if (brightness !== null) {
+      effectDict.brightness = brightness;
+    }
+    if (transition !== null) {
+      effectDict.transition = transition;
+    }
+
+    return this.setCustomEffect(effectDict);
+  }
+
+  /**
+     * Set a custom effect on the device.
+     * @param {Object} effectDict - The custom effect definition
+     * @returns {Promise<Object>} Command result
+     */
+  async setCustomEffect(effectDict) {
+    return this.call('set_lighting_effect', effectDict);
+  }
+
+  /**
+     * Return true if the device supports setting custom effects.
+     * @returns {boolean} Supports custom effects
+     */
+  get hasCustomEffects() {
+    return true;
+  }
+}
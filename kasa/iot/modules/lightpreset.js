@@ -0,0 +1,197 @@
+/**
+ * Module for light presets.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { LightState } from '../../interfaces/light.js';
+import { LightPreset as LightPresetInterface } from '../../interfaces/lightpreset.js';
+import { Module } from '../../module.js';
+import { IotModuleMixin } from '../iotmodule.js';
+
+/**
+ * Bulb configuration preset.
+ */
+export class IotLightPreset extends LightState {
+  /**
+     * Create a light preset.
+     * @param {Object} options - Preset options, see LightState for the light state ones
+     * @param {number} options.index - Slot of the preset on the device
+     */
+  constructor({ index, ...options } = {}) {
+    super(options);
+    this.index = index;
+  }
+
+  /**
+     * Create a light preset from the device representation.
+     * @param {Object} data - Preset as returned by the device
+     * @returns {IotLightPreset} Preset instance
+     * @static
+     */
+  static fromDict(data) {
+    return new IotLightPreset({
+      index: data.index,
+      brightness: data.brightness,
+      hue: data.hue ?? null,
+      saturation: data.saturation ?? null,
+      colorTemp: data.color_temp ?? null
+    });
+  }
+}
+
+/**
+ * Implement light presets for bulbs.
+ *
+ * The presets are read from the preferred_state of the sysinfo.
+ *
+ * @example
+ * const presets = dev.modules.get(Module.LightPreset);
+ * console.log(presets.presetList);
+ * // ['Not set', 'Light preset 1', 'Light preset 2', ...]
+ * await presets.setPreset('Light preset 1');
+ * await presets.savePreset(1, new LightState({ brightness: 50, colorTemp: 2700 }));
+ */
+export class LightPreset extends IotModuleMixin(LightPresetInterface) {
+  /**
+     * Create a new LightPreset module.
+     * @param {IotDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._presets = {};
+    this._presetList = [LightPresetInterface.PRESET_NOT_SET];
+  }
+
+  /**
+     * Update the presets after a device update.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    this._presets = {};
+    (this.data.preferred_state || []).forEach((vals, index) => {
+      // Presets with an id are managed by the app and not exposed here
+      if (!('id' in vals)) {
+        this._presets[`Light preset ${index + 1}`] = IotLightPreset.fromDict(vals);
+      }
+    });
+    this._presetList = [LightPresetInterface.PRESET_NOT_SET, ...Object.keys(this._presets)];
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The presets are part of the sysinfo.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return list of preset names.
+     * @returns {Array<string>} Preset names
+     */
+  get presetList() {
+    return this._presetList;
+  }
+
+  /**
+     * Return list of preset states.
+     * @returns {Array<IotLightPreset>} Preset states
+     */
+  get presetStatesList() {
+    return Object.values(this._presets);
+  }
+
+  /**
+     * Return current preset name.
+     * @returns {string} Preset name, or PRESET_NOT_SET if the state matches no preset
+     */
+  get preset() {
+    const light = this._device.modules.get(Module.Light);
+    const hasColorTemp = light.hasFeature('colorTemp');
+    const hasHsv = light.hasFeature('hsv');
+
+    const brightness = light.brightness;
+    const colorTemp = hasColorTemp ? light.colorTemp : null;
+    const hsv = hasHsv ? light.hsv : null;
+
+    for (const [name, preset] of Object.entries(this._presets)) {
+      if (
+        preset.brightness === brightness &&
+        (!hasColorTemp || preset.colorTemp === colorTemp) &&
+        preset.hue === (hsv ? hsv.hue : null) &&
+        preset.saturation === (hsv ? hsv.saturation : null)
+      ) {
+        return name;
+      }
+    }
+    return LightPresetInterface.PRESET_NOT_SET;
+  }
+
+  /**
+     * Return the name of the preset for a preset name or slot index.
+     * @param {string|number} preset - Preset name or zero based slot index
+     * @returns {string} Preset name
+     * @throws {KasaException} If the preset does not exist
+     * @private
+     */
+  _getPresetName(preset) {
+    const name = typeof preset === 'number' ? Object.keys(this._presets)[preset] : preset;
+    if (!(name in this._presets)) {
+      throw new KasaException(`${preset} is not a valid preset: ${this.presetList}`);
+    }
+    return name;
+  }
+
+  /**
+     * Set a light preset for the device.
+     * @param {string|number} preset - Preset name or zero based slot index
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the preset does not exist
+     */
+  async setPreset(preset) {
+    const light = this._device.modules.get(Module.Light);
+    if (preset === LightPresetInterface.PRESET_NOT_SET) {
+      return light.setState(new LightState({ brightness: 100 }));
+    }
+
+    return light.setState(this._presets[this._getPresetName(preset)]);
+  }
+
+  /**
+     * Overwrite the preset slot with a new light state.
+     * @param {string|number} preset - Preset name or zero based slot index
+     * @param {LightState} presetState - New preset state
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the device has no presets or the preset does not exist
+     */
+  async savePreset(preset, presetState) {
+    if (Object.keys(this._presets).length === 0) {
+      throw new KasaException('Device does not support saving presets');
+    }
+
+    const name = this._getPresetName(preset);
+    const state = {
+      index: this._presets[name].index,
+      brightness: presetState.brightness,
+      hue: presetState.hue,
+      saturation: presetState.saturation,
+      color_temp: presetState.colorTemp
+    };
+
+    return this.call(
+      'set_preferred_state',
+      Object.fromEntries(Object.entries(state).filter(([, v]) => v !== null && v !== undefined))
+    );
+  }
+
+  /**
+     * Return true if the device supports updating presets.
+     * @returns {boolean} Supports saving presets
+     */
+  get hasSavePreset() {
+    return true;
+  }
+}
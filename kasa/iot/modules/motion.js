@@ -0,0 +1,187 @@
+/**
+ * Implementation of the motion detection (PIR) module found in some dimmers.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { IotModule } from '../iotmodule.js';
+
+/**
+ * Range for motion detection.
+ */
+export const Range = {
+  Far: 0,
+  Medium: 1,
+  Near: 2,
+  Custom: 3
+};
+
+/**
+ * Implements the motion detection (PIR) module.
+ *
+ * @example
+ * const motion = dev.modules.get(Module.IotMotion);
+ * console.log(motion.enabled);
+ * // true
+ * await motion.setRange({ range: Range.Near });
+ * await motion.setInactivityTimeout(60000);
+ */
+export class Motion extends IotModule {
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'pir_enabled',
+      name: 'PIR enabled',
+      icon: 'mdi:motion-sensor',
+      attributeGetter: 'enabled',
+      attributeSetter: 'setEnabled',
+      type: Feature.Type.Switch,
+      category: Feature.Category.Config,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'pir_range',
+      name: 'Motion sensor range',
+      icon: 'mdi:motion-sensor',
+      attributeGetter: 'rangeName',
+      attributeSetter: '_setRangeFromName',
+      choicesGetter: 'ranges',
+      type: Feature.Type.Choice,
+      category: Feature.Category.Config,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'pir_off_timer',
+      name: 'Motion sensor off timer',
+      icon: 'mdi:motion-sensor',
+      attributeGetter: 'inactivityTimeout',
+      attributeSetter: 'setInactivityTimeout',
+      unitGetter: () => 'ms',
+      rangeGetter: () => [0, Feature.DEFAULT_MAX],
+      type: Feature.Type.Number,
+      category: Feature.Category.Config,
+    }));
+  }
+
+  /**
+     * Request PIR configuration.
+     * @returns {Object} Query object
+     */
+  query() {
+    return this.queryForCommand('get_config');
+  }
+
+  /**
+     * Return current configuration.
+     * @returns {Object} PIR configuration
+     */
+  get config() {
+    return this.data.get_config;
+  }
+
+  /**
+     * Return true if module is enabled.
+     * @returns {boolean} Enabled state
+     */
+  get enabled() {
+    return Boolean(this.config.enable);
+  }
+
+  /**
+     * Enable/disable PIR.
+     * @param {boolean} state - Whether to enable the sensor
+     * @returns {Promise<Object>} Command result
+     */
+  async setEnabled(state) {
+    return this.call('set_enable', { 'enable': state ? 1 : 0 });
+  }
+
+  /**
+     * Return the selectable range names.
+     * Custom is excluded as it is set through setRange with customRange.
+     * @returns {Array<string>} Range names
+     */
+  get ranges() {
+    return Object.keys(Range).filter(name => name !== 'Custom');
+  }
+
+  /**
+     * Return motion detection range.
+     * @returns {number} Range value, see Range
+     */
+  get range() {
+    return this.config.trigger_index;
+  }
+
+  /**
+     * Return the name of the motion detection range.
+     * @returns {string} Range name, see Range
+     */
+  get rangeName() {
+    return this.ranges.find(name => Range[name] === this.range);
+  }
+
+  /**
+     * Set the range for the sensor.
+     * @param {Object} options - Options
+     * @param {number|null} [options.range=null] - One of the predefined ranges, see Range
+     * @param {number|null} [options.customRange=null] - Custom range value, takes precedence
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If neither range nor customRange is given
+     */
+  async setRange({ range = null, customRange = null } = {}) {
+    let payload;
+    if (customRange !== null) {
+      payload = { 'index': Range.Custom, 'value': customRange };
+    } else if (range !== null) {
+      payload = { 'index': range };
+    } else {
+      throw new KasaException('Either range or customRange need to be defined');
+    }
+
+    return this.call('set_trigger_sens', payload);
+  }
+
+  /**
+     * Set the range using its name.
+     * @param {string} name - Range name, see Range
+     * @returns {Promise<Object>} Command result
+     * @private
+     */
+  async _setRangeFromName(name) {
+    if (!(name in Range) || name === 'Custom') {
+      throw new KasaException(`Invalid range: ${name}`);
+    }
+    return this.setRange({ range: Range[name] });
+  }
+
+  /**
+     * Return inactivity timeout in milliseconds.
+     * @returns {number} Timeout in milliseconds
+     */
+  get inactivityTimeout() {
+    return this.config.cold_time;
+  }
+
+  /**
+     * Set inactivity timeout in milliseconds.
+     *
+     * Note, that you need to delete the default "Smart Control" rule in the app
+     * to avoid reverting this back to 60 seconds after a period of time.
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<Object>} Command result
+     */
+  async setInactivityTimeout(timeout) {
+    return this.call('set_cold_time', { 'cold_time': timeout });
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Base implementation for all rule-based modules.
+ */
+
+import { IotModule, merge } from '../iotmodule.js';
+
+/**
+ * Action to perform when a rule triggers.
+ */
+export const Action = {
+  Disabled: -1,
+  TurnOff: 0,
+  TurnOn: 1,
+  Unknown: 2
+};
+
+/**
+ * Time option for the start or end of a rule.
+ */
+export const TimeOption = {
+  /** Use the given minute of the day. */
+  Enabled: 0,
+  /** Offset from sunrise. */
+  AtSunrise: 1,
+  /** Offset from sunset. */
+  AtSunset: 2
+};
+
+/**
+ * Representation of a rule.
+ */
+export class Rule {
+  /**
+     * Create a rule.
+     * @param {Object} options - Rule options
+     * @param {string|null} [options.id=null] - Rule id, assigned by the device when added
+     * @param {string} [options.name=''] - Rule name
+     * @param {boolean} [options.enable=true] - Whether the rule is enabled
+     * @param {Array<number>} [options.wday=[0, 0, 0, 0, 0, 0, 0]] - Weekdays the rule is active on, starting on Sunday
+     * @param {boolean} [options.repeat=true] - Whether the rule repeats weekly
+     * @param {number|null} [options.sact=null] - Start action
+     * @param {number} [options.stimeOpt=TimeOption.Enabled] - Start time option
+     * @param {number} [options.smin=0] - Start minute of the day
+     * @param {number} [options.soffset=0] - Start offset in minutes from sunrise or sunset
+     * @param {number|null} [options.eact=null] - End action
+     * @param {number} [options.etimeOpt=TimeOption.Enabled] - End time option
+     * @param {number} [options.emin=0] - End minute of the day
+     * @param {number} [options.eoffset=0] - End offset in minutes from sunrise or sunset
+     * @param {Object|null} [options.sLight=null] - Light state to apply, only on bulbs
+     */
+  constructor({
+    id = null,
+    name = '',
+    enable = true,
+    wday = [0, 0, 0, 0, 0, 0, 0],
+    repeat = true,
+    sact = null,
+    stimeOpt = TimeOption.Enabled,
+    smin = 0,
+    soffset = 0,
+    eact = null,
+    etimeOpt = TimeOption.Enabled,
+    emin = 0,
+    eoffset = 0,
+    sLight = null
+  } = {}) {
+    this.id = id;
+    this.name = name;
+    this.enable = enable;
+    this.wday = wday;
+    this.repeat = repeat;
+    this.sact = sact;
+    this.stimeOpt = stimeOpt;
+    this.smin = smin;
+    this.soffset = soffset;
+    this.eact = eact;
+    this.etimeOpt = etimeOpt;
+    this.emin = emin;
+    this.eoffset = eoffset;
+    this.sLight = sLight;
+  }
+
+  /**
+     * Create a rule from the device representation.
+     * @param {Object} data - Rule as returned by the device
+     * @returns {Rule} Rule instance
+     * @static
+     */
+  static fromDict(data) {
+    return new Rule({
+      id: data.id,
+      name: data.name,
+      enable: Boolean(data.enable),
+      wday: data.wday,
+      repeat: Boolean(data.repeat),
+      sact: data.sact ?? null,
+      stimeOpt: data.stime_opt,
+      smin: data.smin,
+      soffset: data.soffset ?? 0,
+      eact: data.eact ?? null,
+      etimeOpt: data.etime_opt,
+      emin: data.emin,
+      eoffset: data.eoffset ?? 0,
+      sLight: data.s_light ?? null
+    });
+  }
+
+  /**
+     * Convert to the device representation.
+     * @returns {Object} Dictionary representation
+     */
+  toDict() {
+    const result = {
+      name: this.name,
+      enable: this.enable ? 1 : 0,
+      wday: this.wday,
+      repeat: this.repeat ? 1 : 0,
+      stime_opt: this.stimeOpt,
+      smin: this.smin,
+      soffset: this.soffset,
+      etime_opt: this.etimeOpt,
+      emin: this.emin,
+      eoffset: this.eoffset
+    };
+    if (this.id !== null) result.id = this.id;
+    if (this.sact !== null) result.sact = this.sact;
+    if (this.eact !== null) result.eact = this.eact;
+    if (this.sLight !== null) result.s_light = this.sLight;
+    return result;
+  }
+}
+
+/**
+ * Base class for rule-based modules, such as countdown and antitheft.
+ */
+export class RuleModule extends IotModule {
+  /**
+     * Prepare the query for rules.
+     * @returns {Object} Query object
+     */
+  query() {
+    const q = this.queryForCommand('get_rules');
+    return merge(q, this.queryForCommand('get_next_action'));
+  }
+
+  /**
+     * Return the list of rules.
+     * @returns {Array<Rule>} Rules
+     */
+  get rules() {
+    try {
+      return this.data.get_rules.rule_list.map(rule => Rule.fromDict(rule));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+     * Return the next scheduled action.
+     * @returns {Object|null} Next action as reported by the device
+     */
+  get nextAction() {
+    try {
+      return this.data.get_next_action;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+     * Return whether the rules of this module are enabled.
+     * @returns {boolean} Enabled state
+     */
+  get enabled() {
+    try {
+      return Boolean(this.data.get_rules.enable);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+     * Enable or disable all rules of this module.
+     * @param {boolean} state - New state
+     * @returns {Promise<Object>} Command result
+     */
+  async setEnabled(state) {
+    return this.call('set_overall_enable', { 'enable': state ? 1 : 0 });
+  }
+
+  /**
+     * Add a new rule.
+     * @param {Rule} rule - Rule to add, the id will be assigned by the device
+     * @returns {Promise<Object>} Command result containing the new rule id
+     */
+  async addRule(rule) {
+    const payload = rule.toDict();
+    delete payload.id;
+    return this.call('add_rule', payload);
+  }
+
+  /**
+     * Edit an existing rule.
+     * @param {Rule} rule - Rule to edit, identified by its id
+     * @returns {Promise<Object>} Command result
+     */
+  async editRule(rule) {
+    return this.call('edit_rule', rule.toDict());
+  }
+
+  /**
+     * Delete the given rule.
+     * @param {Rule} rule - Rule to delete
+     * @returns {Promise<Object>} Command result
+     */
+  async deleteRule(rule) {
+    return this.call('delete_rule', { 'id': rule.id });
+  }
+
+  /**
+     * Delete all rules.
+     * @returns {Promise<Object>} Command result
+     */
+  async deleteAllRules() {
+    return this.call('delete_all_rules');
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Schedule module implementation.
+ */
+
+import { RuleModule } from './rulemodule.js';
+
+/**
+ * Implements the scheduling interface.
+ *
+ * @example
+ * const schedule = dev.modules.get(Module.IotSchedule);
+ * for (const rule of schedule.rules) {
+ *   console.log(`${rule.name}: ${rule.smin} (${rule.wday})`);
+ * }
+ *
+ * // Turn the device on at sunset every weekday
+ * await schedule.addRule(new Rule({
+ *   name: 'Evening',
+ *   wday: [0, 1, 1, 1, 1, 1, 0],
+ *   sact: Action.TurnOn,
+ *   stimeOpt: TimeOption.AtSunset,
+ *   soffset: -15
+ * }));
+ */
+export class Schedule extends RuleModule {
+}
@@ -0,0 +1,133 @@
+/**
+ * Provides the current time and timezone information.
+ */
+
+import { Feature } from '../../feature.js';
+import { Time as TimeInterface } from '../../interfaces/time.js';
+import { IotModuleMixin, merge } from '../iotmodule.js';
+import {
+  getTimezone,
+  getTimezoneIndex,
+  getZonedDate,
+  getZonedFields
+} from '../iottimezone.js';
+
+/**
+ * Implements the timezone settings.
+ *
+ * @example
+ * const time = dev.modules.get(Module.Time);
+ * console.log(time.timezone);
+ * // Europe/Berlin
+ * console.log(time.time);
+ * // 2024-01-01T12:00:00.000Z
+ *
+ * // Sync the device clock and move it to another zone
+ * await time.setTime(new Date(), { timezone: 'America/New_York' });
+ */
+export class Time extends IotModuleMixin(TimeInterface) {
+  /**
+     * Create a new Time module.
+     * @param {IotDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._timezone = 'UTC';
+  }
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'device_time',
+      name: 'Device time',
+      attributeGetter: 'time',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Debug,
+    }));
+  }
+
+  /**
+     * Request time and timezone.
+     * @returns {Object} Query object
+     */
+  query() {
+    const q = this.queryForCommand('get_time');
+    return merge(q, this.queryForCommand('get_timezone'));
+  }
+
+  /**
+     * Perform actions after a device update.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    const res = this.data.get_timezone;
+    if (res && 'index' in res) {
+      this._timezone = getTimezone(res.index);
+    }
+  }
+
+  /**
+     * Return current device time.
+     * @returns {Date} Device time
+     */
+  get time() {
+    return getZonedDate(this.data.get_time, this.timezone);
+  }
+
+  /**
+     * Return current timezone.
+     * @returns {string} IANA zone name
+     */
+  get timezone() {
+    return this._timezone;
+  }
+
+  /**
+     * Set the device time, and optionally its timezone.
+     *
+     * The device stores its wall clock time, so the date is converted to the
+     * given timezone, or the current device timezone if none is given.
+     * @param {Date} dt - Date/time to set
+     * @param {Object} [options] - Options
+     * @param {string|null} [options.timezone=null] - IANA zone name to move the device to
+     * @returns {Promise<Object>} Command result
+     */
+  async setTime(dt, { timezone = null } = {}) {
+    const params = getZonedFields(dt, timezone ?? this.timezone);
+    let method = 'set_time';
+
+    if (timezone !== null) {
+      const index = getTimezoneIndex(timezone);
+      const currentIndex = this.data.get_timezone?.index ?? -1;
+      if (currentIndex !== index) {
+        params.index = index;
+        method = 'set_timezone';
+      }
+    }
+
+    return this.call(method, params);
+  }
+
+  /**
+     * Return current time from the device.
+     * @returns {Promise<Date>} Device time
+     */
+  async getTime() {
+    const res = await this.call('get_time');
+    return getZonedDate(res, this.timezone);
+  }
+
+  /**
+     * Request timezone information from the device.
+     * @returns {Promise<Object>} Timezone information
+     */
+  async getTimezone() {
+    return this.call('get_timezone');
+  }
+}
+
@@ -0,0 +1,401 @@
+/**
+ * Module for bulb turn on behaviors.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { Module } from '../../module.js';
+import { IotModule } from '../iotmodule.js';
+
+/**
+ * Enum to present type of turn on behavior.
+ */
+export const BehaviorMode = {
+  /** Return to the last state known state. */
+  Last: 'last_status',
+  /** Use chosen preset. */
+  Preset: 'customize_preset',
+  /** Circadian */
+  Circadian: 'circadian'
+};
+
+/**
+ * Model to present a single turn on behavior.
+ */
+export class TurnOnBehavior {
+  /**
+     * Create a turn on behavior.
+     * @param {string} mode - Behavior mode
+     * @param {number|null} [preset=null] - Index of preset to use, or null for a custom state
+     * @param {number|null} [brightness=null] - Brightness
+     * @param {number|null} [colorTemp=null] - Color temperature
+     * @param {number|null} [hue=null] - Hue
+     * @param {number|null} [saturation=null] - Saturation
+     */
+  constructor(mode, { preset = null, brightness = null, colorTemp = null, hue = null, saturation = null } = {}) {
+    this.mode = mode;
+    this.preset = preset;
+    this.brightness = brightness;
+    this.colorTemp = colorTemp;
+    this.hue = hue;
+    this.saturation = saturation;
+  }
+
+  /**
+     * Create a turn on behavior from the device representation.
+     * @param {Object} data - Behavior as returned by the device
+     * @returns {TurnOnBehavior} Behavior instance
+     * @static
+     */
+  static fromDict(data) {
+    return new TurnOnBehavior(data.mode, {
+      preset: data.index ?? null,
+      brightness: data.brightness ?? null,
+      colorTemp: data.color_temp ?? null,
+      hue: data.hue ?? null,
+      saturation: data.saturation ?? null
+    });
+  }
+
+  /**
+     * Whether the behavior turns the bulb on to a custom state.
+     * @returns {boolean} Is custom state
+     */
+  get isCustom() {
+    return this.mode === BehaviorMode.Preset && this.preset === null;
+  }
+
+  /**
+     * Convert to dictionary.
+     * @returns {Object} Dictionary representation
+     */
+  toDict() {
+    const result = { mode: this.mode };
+    if (this.preset !== null) result.index = this.preset;
+    if (this.brightness !== null) result.brightness = this.brightness;
+    if (this.colorTemp !== null) result.color_temp = this.colorTemp;
+    if (this.hue !== null) result.hue = this.hue;
+    if (this.saturation !== null) result.saturation = this.saturation;
+    return result;
+  }
+}
+
+/**
+ * Model to contain turn on behaviors.
+ */
+export class TurnOnBehaviors {
+  /**
+     * Create turn on behaviors.
+     * @param {TurnOnBehavior} soft - The behavior when the bulb is turned on programmatically
+     * @param {TurnOnBehavior} hard - The behavior when the bulb has been off from mains power
+     */
+  constructor(soft, hard) {
+    this.soft = soft;
+    this.hard = hard;
+  }
+}
+
+/**
+ * Implements the turn on behaviors of bulbs.
+ *
+ * The soft on behavior is used when the bulb is turned on programmatically,
+ * the hard on behavior when the bulb has been off from mains power.
+ *
+ * @example
+ * const behavior = dev.modules.get(Module.IotTurnOnBehavior);
+ * console.log(behavior.softOnName);
+ * // Last state
+ * await behavior.setHardOn(new TurnOnBehavior(BehaviorMode.Preset, { brightness: 50, colorTemp: 2700 }));
+ */
+export class TurnOnBehaviorModule extends IotModule {
+  static BEHAVIOR_LAST = 'Last state';
+  static BEHAVIOR_CIRCADIAN = 'Circadian';
+  static BEHAVIOR_CUSTOM = 'Custom';
+
+  /**
+     * Initialize features after the initial update.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'turn_on_behavior_soft',
+      name: 'Soft turn on behavior',
+      icon: 'mdi:lightbulb-auto',
+      attributeGetter: 'softOnName',
+      attributeSetter: '_setSoftOnFromName',
+      choicesGetter: 'choices',
+      type: Feature.Type.Choice,
+      category: Feature.Category.Config,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'turn_on_behavior_hard',
+      name: 'Hard turn on behavior',
+      icon: 'mdi:lightbulb-auto',
+      attributeGetter: 'hardOnName',
+      attributeSetter: '_setHardOnFromName',
+      choicesGetter: 'choices',
+      type: Feature.Type.Choice,
+      category: Feature.Category.Config,
+    }));
+  }
+
+  /**
+     * Request the turn on behaviors.
+     * @returns {Object} Query object
+     */
+  query() {
+    return this.queryForCommand('get_default_behavior');
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     * @returns {boolean} Is supported
+     */
+  get isSupported() {
+    if (!super.isSupported) {
+      return false;
+    }
+    if (!(this._module in this._device._lastUpdate)) {
+      return true;
+    }
+    const behavior = this.data.get_default_behavior;
+    return behavior !== undefined && (behavior.err_code ?? 0) === 0;
+  }
+
+  /**
+     * Return the turn on behaviors.
+     * @returns {TurnOnBehaviors} Turn on behaviors
+     */
+  get behaviors() {
+    const data = this.data.get_default_behavior;
+    return new TurnOnBehaviors(
+      TurnOnBehavior.fromDict(data.soft_on),
+      TurnOnBehavior.fromDict(data.hard_on)
+    );
+  }
+
+  /**
+     * Return the behavior when the bulb is turned on programmatically.
+     * @returns {TurnOnBehavior} Soft on behavior
+     */
+  get softOn() {
+    return this.behaviors.soft;
+  }
+
+  /**
+     * Return the behavior when the bulb has been off from mains power.
+     * @returns {TurnOnBehavior} Hard on behavior
+     */
+  get hardOn() {
+    return this.behaviors.hard;
+  }
+
+  /**
+     * Return the light presets usable as turn on behavior, keyed by name.
+     * @returns {Object<string, number>} Preset indexes keyed by preset name
+     * @private
+     */
+  get _presets() {
+    const presetModule = this._device.modules.get(Module.LightPreset);
+    if (!presetModule) {
+      return {};
+    }
+    // The first entry of the list is the not set placeholder
+    const names = presetModule.presetList.slice(1);
+    return Object.fromEntries(
+      presetModule.presetStatesList.map((preset, idx) => [names[idx], preset.index])
+    );
+  }
+
+  /**
+     * Return the available behavior choices.
+     * @returns {Array<string>} Behavior names
+     */
+  get choices() {
+    const choices = [TurnOnBehaviorModule.BEHAVIOR_LAST, ...Object.keys(this._presets)];
+    const { soft, hard } = this.behaviors;
+    if (soft.mode === BehaviorMode.Circadian || hard.mode === BehaviorMode.Circadian) {
+      choices.push(TurnOnBehaviorModule.BEHAVIOR_CIRCADIAN);
+    }
+    choices.push(TurnOnBehaviorModule.BEHAVIOR_CUSTOM);
+    return choices;
+  }
+
+  /**
+     * Return the soft on behavior as a choice name.
+     * @returns {string} Behavior name
+     */
+  get softOnName() {
+    return this._behaviorName(this.softOn);
+  }
+
+  /**
+     * Return the hard on behavior as a choice name.
+     * @returns {string} Behavior name
+     */
+  get hardOnName() {
+    return this._behaviorName(this.hardOn);
+  }
+
+  /**
+     * Return the choice name for a behavior.
+     * @param {TurnOnBehavior} behavior - Turn on behavior
+     * @returns {string} Behavior name
+     * @private
+     */
+  _behaviorName(behavior) {
+    if (behavior.mode === BehaviorMode.Last) {
+      return TurnOnBehaviorModule.BEHAVIOR_LAST;
+    }
+    if (behavior.mode === BehaviorMode.Circadian) {
+      return TurnOnBehaviorModule.BEHAVIOR_CIRCADIAN;
+    }
+    if (behavior.isCustom) {
+      return TurnOnBehaviorModule.BEHAVIOR_CUSTOM;
+    }
+    const name = Object.keys(this._presets).find(key => this._presets[key] === behavior.preset);
+    return name ?? TurnOnBehaviorModule.BEHAVIOR_CUSTOM;
+  }
+
+  /**
+     * Create a behavior for the given choice name.
+     *
+     * Choosing the custom state keeps the configured custom state,
+     * or uses the current light state if none is configured.
+     * @param {string} name - Behavior name
+     * @param {TurnOnBehavior} current - Currently configured behavior
+     * @returns {TurnOnBehavior} Turn on behavior
+     * @throws {KasaException} If the name is not a valid choice
+     * @private
+     */
+  _behaviorFromName(name, current) {
+    if (name === TurnOnBehaviorModule.BEHAVIOR_LAST) {
+      return new TurnOnBehavior(BehaviorMode.Last);
+    }
+    if (name === TurnOnBehaviorModule.BEHAVIOR_CIRCADIAN) {
+      return new TurnOnBehavior(BehaviorMode.Circadian);
+    }
+    if (name in this._presets) {
+      return new TurnOnBehavior(BehaviorMode.Preset, { preset: this._presets[name] });
+    }
+    if (name !== TurnOnBehaviorModule.BEHAVIOR_CUSTOM) {
+      throw new KasaException(`Invalid turn on behavior: ${name}`);
+    }
+
+    if (current.isCustom) {
+      return current;
+    }
+
+    const light = this._device.modules.get(Module.Light);
+    const hsv = light.hasFeature('hsv') ? light.hsv : null;
+    return new TurnOnBehavior(BehaviorMode.Preset, {
+      brightness: light.brightness,
+      colorTemp: light.hasFeature('colorTemp') && light.colorTemp ? light.colorTemp : null,
+      hue: hsv && hsv.saturation ? hsv.hue : null,
+      saturation: hsv && hsv.saturation ? hsv.saturation : null
+    });
+  }
+
+  /**
+     * Validate a behavior against the capabilities of the bulb.
+     * @param {TurnOnBehavior} behavior - Turn on behavior
+     * @throws {KasaException} If the behavior is not supported by the bulb
+     * @private
+     */
+  _validate(behavior) {
+    if (!Object.values(BehaviorMode).includes(behavior.mode)) {
+      throw new KasaException(`Invalid turn on behavior mode: ${behavior.mode}`);
+    }
+    if (!behavior.isCustom) {
+      return;
+    }
+
+    const device = this._device;
+    if (behavior.brightness !== null && (behavior.brightness < 0 || behavior.brightness > 100)) {
+      throw new KasaException('Brightness must be between 0 and 100');
+    }
+
+    if (behavior.colorTemp !== null && behavior.colorTemp !== 0) {
+      const range = device.validTemperatureRange;
+      if (!device.isVariableColorTemp) {
+        throw new KasaException('Bulb does not support color temperature');
+      }
+      if (behavior.colorTemp < range.min || behavior.colorTemp > range.max) {
+        throw new KasaException(
+          `Color temperature must be between ${range.min} and ${range.max}`
+        );
+      }
+    }
+
+    if (behavior.hue !== null || behavior.saturation !== null) {
+      if (!device.isColor) {
+        throw new KasaException('Bulb does not support color');
+      }
+      if (behavior.hue !== null && (behavior.hue < 0 || behavior.hue > 360)) {
+        throw new KasaException('Hue must be between 0 and 360');
+      }
+      if (behavior.saturation !== null && (behavior.saturation < 0 || behavior.saturation > 100)) {
+        throw new KasaException('Saturation must be between 0 and 100');
+      }
+    }
+  }
+
+  /**
+     * Set the turn on behaviors.
+     * @param {TurnOnBehaviors} behaviors - Turn on behaviors
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If a behavior is not supported by the bulb
+     */
+  async setBehaviors(behaviors) {
+    this._validate(behaviors.soft);
+    this._validate(behaviors.hard);
+    return this.call('set_default_behavior', {
+      soft_on: behaviors.soft.toDict(),
+      hard_on: behaviors.hard.toDict()
+    });
+  }
+
+  /**
+     * Set the behavior when the bulb is turned on programmatically.
+     * @param {TurnOnBehavior} behavior - Turn on behavior
+     * @returns {Promise<Object>} Command result
+     */
+  async setSoftOn(behavior) {
+    return this.setBehaviors(new TurnOnBehaviors(behavior, this.hardOn));
+  }
+
+  /**
+     * Set the behavior when the bulb has been off from mains power.
+     * @param {TurnOnBehavior} behavior - Turn on behavior
+     * @returns {Promise<Object>} Command result
+     */
+  async setHardOn(behavior) {
+    return this.setBehaviors(new TurnOnBehaviors(this.softOn, behavior));
+  }
+
+  /**
+     * Set the soft on behavior from a choice name.
+     * @param {string} name - Behavior name
+     * @returns {Promise<Object>} Command result
+     * @private
+     */
+  async _setSoftOnFromName(name) {
+    return this.setSoftOn(this._behaviorFromName(name, this.softOn));
+  }
+
+  /**
+     * Set the hard on behavior from a choice name.
+     * @param {string} name - Behavior name
+     * @returns {Promise<Object>} Command result
+     * @private
+     */
+  async _setHardOnFromName(name) {
+    return this.setHardOn(this._behaviorFromName(name, this.hardOn));
+  }
+}
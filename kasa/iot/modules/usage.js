@@ -0,0 +1,190 @@
+/**
+ * Implementation of the usage interface.
+ */
+
+import { Feature } from '../../feature.js';
+import { IotModule, merge } from '../iotmodule.js';
+
+/**
+ * Implementation for runtime statistics (usage) module.
+ *
+ * The runtime is reported by the device in minutes.
+ *
+ * @example
+ * const usage = dev.modules.get(Module.IotUsage);
+ * console.log(usage.usageToday);
+ * // 120
+ * console.log(await usage.getDaystat({ year: 2024, month: 1 }));
+ * // { 1: 60, 2: 1440, ... }
+ */
+export class Usage extends IotModule {
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'usage_today',
+      name: 'Today\'s usage',
+      attributeGetter: 'usageToday',
+      unitGetter: () => 'min',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Info,
+    }));
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'usage_this_month',
+      name: 'This month\'s usage',
+      attributeGetter: 'usageThisMonth',
+      unitGetter: () => 'min',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Info,
+    }));
+  }
+
+  /**
+     * Return the base query.
+     * @returns {Object} Query object
+     */
+  query() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+
+    const req = this.queryForCommand('get_daystat', { year, month });
+    return merge(req, this.queryForCommand('get_monthstat', { year }));
+  }
+
+  /**
+     * Estimated maximum size of query response.
+     * @returns {number} Estimated size in bytes
+     */
+  get estimatedQueryResponseSize() {
+    return 2048;
+  }
+
+  /**
+     * Get daily statistics for the current month.
+     * @returns {Array} Daily statistics
+     */
+  get dailyStats() {
+    try {
+      return this.data?.get_daystat?.day_list || [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+     * Get monthly statistics for the current year.
+     * @returns {Array} Monthly statistics
+     */
+  get monthlyStats() {
+    try {
+      return this.data?.get_monthstat?.month_list || [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+     * Return today's usage in minutes.
+     * @returns {number|null} Usage in minutes
+     */
+  get usageToday() {
+    const today = new Date().getDate();
+    // Traverse the list in reverse order to find the latest entry.
+    const entry = [...this.dailyStats].reverse().find(e => e.day === today);
+    return entry ? entry.time : null;
+  }
+
+  /**
+     * Return this month's usage in minutes.
+     * @returns {number|null} Usage in minutes
+     */
+  get usageThisMonth() {
+    const thisMonth = new Date().getMonth() + 1;
+    // Traverse the list in reverse order to find the latest entry.
+    const entry = [...this.monthlyStats].reverse().find(e => e.month === thisMonth);
+    return entry ? entry.time : null;
+  }
+
+  /**
+     * Return raw daily stats for the given year & month.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {number|null} [options.month=null] - Month, defaults to the current month
+     * @returns {Promise<Object>} Raw response
+     */
+  async getRawDaystat({ year = null, month = null } = {}) {
+    const now = new Date();
+    return this.call('get_daystat', {
+      year: year ?? now.getFullYear(),
+      month: month ?? now.getMonth() + 1
+    });
+  }
+
+  /**
+     * Return raw monthly stats for the given year.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @returns {Promise<Object>} Raw response
+     */
+  async getRawMonthstat({ year = null } = {}) {
+    return this.call('get_monthstat', { year: year ?? new Date().getFullYear() });
+  }
+
+  /**
+     * Return daily stats for the given year & month.
+     *
+     * The return value is a dictionary of {day: time, ...}.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {number|null} [options.month=null] - Month, defaults to the current month
+     * @returns {Promise<Object>} Usage in minutes per day
+     */
+  async getDaystat({ year = null, month = null } = {}) {
+    const data = await this.getRawDaystat({ year, month });
+    return this._convertStatData(data.day_list, 'day');
+  }
+
+  /**
+     * Return monthly stats for the given year.
+     *
+     * The return value is a dictionary of {month: time, ...}.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @returns {Promise<Object>} Usage in minutes per month
+     */
+  async getMonthstat({ year = null } = {}) {
+    const data = await this.getRawMonthstat({ year });
+    return this._convertStatData(data.month_list, 'month');
+  }
+
+  /**
+     * Erase all stats.
+     * @returns {Promise<Object>} Command result
+     */
+  async eraseStats() {
+    return this.call('erase_runtime_stat');
+  }
+
+  /**
+     * Return usage information keyed with the day/month.
+     * @param {Array} data - Entries as returned by the device
+     * @param {string} entryKey - Key to use for the result, day or month
+     * @returns {Object} Usage keyed by entry
+     * @private
+     */
+  _convertStatData(data, entryKey) {
+    if (!data) {
+      return {};
+    }
+    return Object.fromEntries(data.map(entry => [entry[entryKey], entry.time]));
+  }
+}
@@ -84,6 +84,7 @@ export class Module {
   static IotSchedule = 'schedule';
   static IotUsage = 'usage';
   static IotCloud = 'cloud';
+  static IotTurnOnBehavior = 'turn_on_behavior';
 
   // SMART only Modules
   static AutoOff = 'AutoOff';
@@ -284,6 +285,7 @@ function _getBoundFeature(module, attribute) {
 
   let attributeName;
   let attributeCallable;
+  let fa = null;
 
   if (typeof attribute !== 'string') {
     if (typeof attribute === 'function') {
@@ -292,10 +294,19 @@ function _getBoundFeature(module, attribute) {
       throw new KasaException(`Invalid attribute type: ${typeof attribute}`);
     }
     attributeCallable = attribute;
+    fa = _getFeatureAttribute(attributeCallable);
   } else {
     attributeName = attribute;
-    // Try to get the method/property from the module class
-    attributeCallable = module.constructor.prototype[attribute] || module[attribute];
+    // Walk the prototype chain using the descriptors so getters are not invoked,
+    // and overriding implementations still find the metadata of the interface
+    for (let obj = module; obj && !fa; obj = Object.getPrototypeOf(obj)) {
+      const descriptor = Object.getOwnPropertyDescriptor(obj, attribute);
+      if (descriptor) {
+        const member = descriptor.get || descriptor.value;
+        attributeCallable = attributeCallable || member;
+        fa = _getFeatureAttribute(member);
+      }
+    }
     
     if (!attributeCallable) {
       const error = new KasaException(
@@ -306,7 +317,6 @@ function _getBoundFeature(module, attribute) {
     }
   }
 
-  const fa = _getFeatureAttribute(attributeCallable);
   if (!fa) {
     const error = new KasaException(
       `Attribute ${attributeName} of module ${module.constructor.name} is not bound to a feature`
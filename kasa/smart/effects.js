@@ -0,0 +1,449 @@
+/**
+ * Module for light effects of SMART devices.
+ */
+
+import { LightEffect as LightEffectInterface } from '../interfaces/lighteffect.js';
+import { SmartModuleMixin } from './smartmodule.js';
+
+const EFFECT_AURORA = {
+  custom: 0,
+  id: 'TapoStrip_1MClvV18i15Jq3bvJVf0eP',
+  brightness: 100,
+  name: 'Aurora',
+  enable: 1,
+  display_colors: [[120, 100, 100], [240, 100, 100], [260, 100, 100], [280, 100, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'sequence',
+  duration: 0,
+  transition: 1500,
+  direction: 4,
+  spread: 7,
+  repeat_times: 0,
+  sequence: [[120, 100, 100], [240, 100, 100], [260, 100, 100], [280, 100, 100]]
+};
+
+const EFFECT_BUBBLING_CAULDRON = {
+  custom: 0,
+  id: 'TapoStrip_6DlumDwO2NdfHppy50vJtu',
+  brightness: 100,
+  name: 'Bubbling Cauldron',
+  enable: 1,
+  display_colors: [[270, 100, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'random',
+  hue_range: [100, 270],
+  saturation_range: [80, 100],
+  brightness_range: [50, 100],
+  duration: 0,
+  transition: 200,
+  init_states: [[270, 100, 100]],
+  fadeoff: 1000,
+  random_seed: 24,
+  backgrounds: [[270, 40, 50]]
+};
+
+const EFFECT_CANDY_CANE = {
+  custom: 0,
+  id: 'TapoStrip_6Dy0Nc45vlhFPEzG021Pe9',
+  brightness: 100,
+  name: 'Candy Cane',
+  enable: 1,
+  display_colors: [[0, 0, 100], [360, 81, 100]],
+  segments: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  expansion_strategy: 1,
+  type: 'sequence',
+  duration: 700,
+  transition: 500,
+  direction: 1,
+  spread: 1,
+  repeat_times: 0,
+  sequence: [
+    [0, 0, 100], [0, 0, 100], [360, 81, 100], [0, 0, 100],
+    [0, 0, 100], [360, 81, 100], [360, 81, 100], [0, 0, 100],
+    [0, 0, 100], [360, 81, 100], [360, 81, 100], [360, 81, 100],
+    [360, 81, 100], [0, 0, 100], [0, 0, 100], [360, 81, 100]
+  ]
+};
+
+const EFFECT_CHRISTMAS = {
+  custom: 0,
+  id: 'TapoStrip_5zkiG6avJ1IbhjiZbRlWvh',
+  brightness: 100,
+  name: 'Christmas',
+  enable: 1,
+  display_colors: [[136, 0, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'random',
+  hue_range: [136, 146],
+  saturation_range: [90, 100],
+  brightness_range: [50, 100],
+  duration: 5000,
+  transition: 0,
+  init_states: [[136, 0, 100]],
+  fadeoff: 2000,
+  random_seed: 100,
+  backgrounds: [[136, 98, 75], [136, 0, 0], [350, 0, 100], [350, 97, 94]]
+};
+
+const EFFECT_FLICKER = {
+  custom: 0,
+  id: 'TapoStrip_4HVKmMc6vEzjm36jXaGwMs',
+  brightness: 100,
+  name: 'Flicker',
+  enable: 1,
+  display_colors: [[30, 81, 80]],
+  segments: [1],
+  expansion_strategy: 1,
+  type: 'random',
+  hue_range: [30, 40],
+  saturation_range: [100, 100],
+  brightness_range: [50, 100],
+  duration: 0,
+  transition: 0,
+  transition_range: [375, 500],
+  init_states: [[30, 81, 80]]
+};
+
+const EFFECT_GRANDMAS_CHRISTMAS_LIGHTS = {
+  custom: 0,
+  id: 'TapoStrip_3Gk6CmXOXbjCiwz8iD5n7v',
+  brightness: 100,
+  name: 'Grandma\'s Christmas Lights',
+  enable: 1,
+  display_colors: [
+    [30, 100, 100], [0, 0, 100], [240, 100, 100], [0, 100, 100],
+    [120, 100, 100]
+  ],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'sequence',
+  duration: 5000,
+  transition: 100,
+  direction: 1,
+  spread: 1,
+  repeat_times: 0,
+  sequence: [
+    [30, 100, 100], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [240, 100, 100], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [0, 100, 100], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [120, 100, 100], [0, 0, 0], [0, 0, 0], [0, 0, 0],
+    [0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0]
+  ]
+};
+
+const EFFECT_HANUKKAH = {
+  custom: 0,
+  id: 'TapoStrip_2YTk4wramLKv5XZ9KFDVYm',
+  brightness: 100,
+  name: 'Hanukkah',
+  enable: 1,
+  display_colors: [[35, 81, 80]],
+  segments: [1],
+  expansion_strategy: 1,
+  type: 'random',
+  hue_range: [200, 210],
+  saturation_range: [0, 100],
+  brightness_range: [50, 100],
+  duration: 1500,
+  transition: 0,
+  transition_range: [400, 500],
+  init_states: [[35, 81, 80]]
+};
+
+const EFFECT_HAUNTED_MANSION = {
+  custom: 0,
+  id: 'TapoStrip_4rJ6JwC7I9st3tQ8j4lwlI',
+  brightness: 80,
+  name: 'Haunted Mansion',
+  enable: 1,
+  display_colors: [[45, 11, 100]],
+  segments: [80],
+  expansion_strategy: 2,
+  type: 'random',
+  hue_range: [45, 45],
+  saturation_range: [10, 10],
+  brightness_range: [0, 80],
+  duration: 0,
+  transition: 0,
+  transition_range: [50, 1500],
+  init_states: [[45, 11, 100]],
+  fadeoff: 200,
+  random_seed: 1,
+  backgrounds: [[45, 10, 100]]
+};
+
+const EFFECT_ICICLE = {
+  custom: 0,
+  id: 'TapoStrip_7UcYLeJbiaxVIXCxr21tpx',
+  brightness: 70,
+  name: 'Icicle',
+  enable: 1,
+  display_colors: [[190, 100, 100], [190, 30, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'sequence',
+  duration: 0,
+  transition: 400,
+  direction: 4,
+  spread: 3,
+  repeat_times: 0,
+  sequence: [
+    [190, 100, 70], [190, 100, 70], [190, 30, 50], [190, 100, 70],
+    [190, 100, 70]
+  ]
+};
+
+const EFFECT_LIGHTNING = {
+  custom: 0,
+  id: 'TapoStrip_7OGzfSfnOdhoO2ri4gOHWn',
+  brightness: 100,
+  name: 'Lightning',
+  enable: 1,
+  display_colors: [[240, 30, 100]],
+  segments: [7, 20, 23, 32, 34, 35, 49, 65, 66, 74, 80],
+  expansion_strategy: 1,
+  type: 'random',
+  hue_range: [240, 240],
+  saturation_range: [10, 11],
+  brightness_range: [90, 100],
+  duration: 0,
+  transition: 50,
+  init_states: [[240, 30, 100]],
+  fadeoff: 150,
+  random_seed: 600,
+  backgrounds: [[200, 100, 100], [200, 50, 10], [210, 10, 50], [240, 10, 0]]
+};
+
+const EFFECT_OCEAN = {
+  custom: 0,
+  id: 'TapoStrip_0fOleCdwSgR0nfjkReeYfw',
+  brightness: 30,
+  name: 'Ocean',
+  enable: 1,
+  display_colors: [[198, 84, 100], [198, 70, 100], [198, 10, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'sequence',
+  duration: 0,
+  transition: 2000,
+  direction: 3,
+  spread: 16,
+  repeat_times: 0,
+  sequence: [[198, 84, 30], [198, 70, 30], [198, 10, 30]]
+};
+
+const EFFECT_RAINBOW = {
+  custom: 0,
+  id: 'TapoStrip_7CC5y4lsL8pETYvmz7UOpQ',
+  brightness: 100,
+  name: 'Rainbow',
+  enable: 1,
+  display_colors: [[0, 100, 100], [100, 100, 100], [200, 100, 100], [300, 100, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'sequence',
+  duration: 0,
+  transition: 1500,
+  direction: 1,
+  spread: 12,
+  repeat_times: 0,
+  sequence: [[0, 100, 100], [100, 100, 100], [200, 100, 100], [300, 100, 100]]
+};
+
+const EFFECT_RAINDROP = {
+  custom: 0,
+  id: 'TapoStrip_1t2nWlTBkV8KXBZ0TWvBjs',
+  brightness: 30,
+  name: 'Raindrop',
+  enable: 1,
+  display_colors: [[200, 40, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'random',
+  hue_range: [200, 200],
+  saturation_range: [10, 20],
+  brightness_range: [10, 30],
+  duration: 0,
+  transition: 1000,
+  init_states: [[200, 40, 100]],
+  fadeoff: 1000,
+  random_seed: 24,
+  backgrounds: [[200, 40, 0]]
+};
+
+const EFFECT_SPRING = {
+  custom: 0,
+  id: 'TapoStrip_1nL6GqZ5soOxj71YDJOlZL',
+  brightness: 100,
+  name: 'Spring',
+  enable: 1,
+  display_colors: [[80, 30, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'random',
+  hue_range: [0, 90],
+  saturation_range: [30, 100],
+  brightness_range: [90, 100],
+  duration: 600,
+  transition: 0,
+  transition_range: [2000, 6000],
+  init_states: [[80, 30, 100]],
+  fadeoff: 1000,
+  random_seed: 20,
+  backgrounds: [[130, 100, 40]]
+};
+
+const EFFECT_SUNRISE = {
+  custom: 0,
+  id: 'TapoStrip_1OVSyXIsDxrt4j7OxyRvqi',
+  brightness: 100,
+  name: 'Sunrise',
+  enable: 1,
+  display_colors: [
+    [0, 100, 100], [10, 100, 100], [15, 100, 100], [20, 100, 100],
+    [30, 100, 100], [30, 95, 100], [30, 90, 100], [30, 80, 100],
+    [30, 75, 100], [30, 70, 100], [30, 60, 100], [30, 50, 100],
+    [30, 20, 100], [30, 0, 100]
+  ],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'pulse',
+  duration: 600,
+  transition: 60000,
+  direction: 1,
+  spread: 1,
+  repeat_times: 1,
+  run_time: 0,
+  sequence: [
+    [0, 100, 5], [0, 100, 5], [10, 100, 6], [15, 100, 7],
+    [20, 100, 8], [20, 100, 10], [30, 100, 12], [30, 95, 15],
+    [30, 90, 20], [30, 80, 25], [30, 75, 30], [30, 70, 40],
+    [30, 60, 50], [30, 50, 60], [30, 20, 70], [30, 0, 100]
+  ],
+  trans_sequence: []
+};
+
+const EFFECT_SUNSET = {
+  custom: 0,
+  id: 'TapoStrip_5NiN0Y8GAUD78p4neKk9EL',
+  brightness: 100,
+  name: 'Sunset',
+  enable: 1,
+  display_colors: [
+    [30, 0, 100], [30, 20, 100], [30, 50, 100], [30, 60, 100],
+    [30, 70, 100], [30, 75, 100], [30, 80, 100], [30, 90, 100],
+    [30, 95, 100], [30, 100, 100], [20, 100, 100], [15, 100, 100],
+    [10, 100, 100], [0, 100, 100]
+  ],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'pulse',
+  duration: 600,
+  transition: 60000,
+  direction: 1,
+  spread: 1,
+  repeat_times: 1,
+  run_time: 0,
+  sequence: [
+    [30, 0, 100], [30, 20, 100], [30, 50, 99], [30, 60, 88],
+    [30, 70, 76], [30, 75, 65], [30, 80, 52], [30, 90, 40],
+    [30, 95, 28], [30, 100, 16], [20, 100, 12], [20, 100, 10],
+    [15, 100, 8], [10, 100, 6], [0, 100, 5], [0, 100, 5]
+  ],
+  trans_sequence: []
+};
+
+const EFFECT_VALENTINES = {
+  custom: 0,
+  id: 'TapoStrip_2q1Vio9sSjHmaC7JS9d30l',
+  brightness: 100,
+  name: 'Valentines',
+  enable: 1,
+  display_colors: [[340, 30, 100]],
+  segments: [0],
+  expansion_strategy: 1,
+  type: 'random',
+  hue_range: [340, 340],
+  saturation_range: [30, 40],
+  brightness_range: [90, 100],
+  duration: 600,
+  transition: 2000,
+  init_states: [[340, 30, 100]],
+  fadeoff: 3000,
+  random_seed: 100,
+  backgrounds: [[305, 100, 40], [340, 100, 40], [15, 100, 40], [340, 100, 40]]
+};
+
+/**
+ * Built-in light strip effects keyed by name.
+ *
+ * The definitions are sent as is with set_lighting_effect.
+ */
+export const EFFECT_MAPPING = Object.fromEntries([
+  EFFECT_AURORA,
+  EFFECT_BUBBLING_CAULDRON,
+  EFFECT_CANDY_CANE,
+  EFFECT_CHRISTMAS,
+  EFFECT_FLICKER,
+  EFFECT_GRANDMAS_CHRISTMAS_LIGHTS,
+  EFFECT_HANUKKAH,
+  EFFECT_HAUNTED_MANSION,
+  EFFECT_ICICLE,
+  EFFECT_LIGHTNING,
+  EFFECT_OCEAN,
+  EFFECT_RAINBOW,
+  EFFECT_RAINDROP,
+  EFFECT_SPRING,
+  EFFECT_SUNRISE,
+  EFFECT_SUNSET,
+  EFFECT_VALENTINES
+].map(effect => [effect.name, effect]));
+
+/**
+ * Names of the built-in light strip effects.
+ */
+export const EFFECT_NAMES = Object.keys(EFFECT_MAPPING);
+
+/**
+ * Abstract interface for SMART light effects.
+ *
+ * The effects have a brightness of their own which replaces the brightness
+ * of the Brightness module while the effect is active.
+ * @abstract
+ */
+export class SmartLightEffect extends SmartModuleMixin(LightEffectInterface) {
+  /**
+     * Return the name of the module.
+     *
+     * All effect implementations are exposed as the LightEffect module.
+     * @returns {string} Module name
+     */
+  get name() {
+    return 'LightEffect';
+  }
+
+  /**
+     * Return effect brightness.
+     * @returns {number} Brightness
+     * @abstract
+     */
+  get brightness() {
+    throw new Error('Abstract property \'brightness\' must be implemented by subclass');
+  }
+
+  /**
+     * Set effect brightness.
+     * @param {number} brightness - Brightness
+     * @returns {Promise<Object>} Command result
+     * @abstract
+     */
+  async setBrightness(_brightness) {
+    throw new Error('Abstract method \'setBrightness\' must be implemented by subclass');
+  }
+}
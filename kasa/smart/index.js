@@ -3,14 +3,50 @@
  */
 
 export { SmartDevice } from './smartdevice.js';
-// export { SmartChildDevice } from './smartchilddevice.js';
+export { SmartChildDevice } from './smartchilddevice.js';
 
 // Export module base classes
-export { SmartModule } from './smartmodule.js';
+export { SmartModule, SmartModuleMixin } from './smartmodule.js';
+
+// Export modules
+export {
+  AutoOff,
+  BatterySensor,
+  Brightness,
+  ChildDevice,
+  Cloud,
+  Color,
+  ColorTemperature,
+  ContactSensor,
+  DeviceModule,
+  DownloadState,
+  DownloadStatus,
+  Energy,
+  Firmware,
+  HumiditySensor,
+  Led,
+  LedRule,
+  Light,
+  LightEffect,
+  LightPreset,
+  LightStripEffect,
+  LightTransition,
+  MotionSensor,
+  TemperatureSensor,
+  TemperatureUnit,
+  Time,
+  UpdateInfo,
+  WaterleakSensor,
+  WaterleakStatus
+} from './modules/index.js';
+
+// Export effects
+export { EFFECT_MAPPING, EFFECT_NAMES, SmartLightEffect } from './effects.js';
 
 // Export decorators and utilities
 export { 
   allowUpdateAfter, 
+  decorate,
   raiseIfUpdateError 
 } from './smartmodule.js';
 
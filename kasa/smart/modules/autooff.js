@@ -0,0 +1,139 @@
+/**
+ * Implementation of auto off module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of auto off module.
+ *
+ * The timer state is reported in the device info.
+ *
+ * @example
+ * const autoOff = dev.modules[Module.AutoOff];
+ * await autoOff.setDelay(30);
+ * await autoOff.setEnabled(true);
+ * await dev.update();
+ * console.log(autoOff.autoOffAt);
+ * // 2024-01-01T12:30:00.000Z, once the device has been turned on
+ */
+export class AutoOff extends SmartModule {
+  static REQUIRED_COMPONENT = 'auto_off';
+  static QUERY_GETTER_NAME = 'get_auto_off_config';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'auto_off_enabled',
+      name: 'Auto off enabled',
+      icon: 'mdi:alarm',
+      attributeGetter: 'enabled',
+      attributeSetter: 'setEnabled',
+      type: Feature.Type.Switch,
+      category: Feature.Category.Config,
+    }));
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'auto_off_minutes',
+      name: 'Auto off in',
+      icon: 'mdi:alarm',
+      attributeGetter: 'delay',
+      attributeSetter: 'setDelay',
+      unitGetter: () => 'min',
+      type: Feature.Type.Number,
+      category: Feature.Category.Config,
+    }));
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'auto_off_at',
+      name: 'Auto off at',
+      attributeGetter: 'autoOffAt',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Info,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     * @returns {Object} Query object
+     */
+  query() {
+    return { [AutoOff.QUERY_GETTER_NAME]: { 'start_index': 0 } };
+  }
+
+  /**
+     * Return true if auto off is enabled.
+     * @returns {boolean} Enabled
+     */
+  get enabled() {
+    return this.data.enable;
+  }
+
+  /**
+     * Enable or disable auto off.
+     * @param {boolean} enable - Whether to enable auto off
+     * @returns {Promise<Object>} Command result
+     */
+  async setEnabled(enable) {
+    return this.call('set_auto_off_config', { 'enable': enable, 'delay_min': this.data.delay_min });
+  }
+
+  /**
+     * Return the auto off delay in minutes.
+     * @returns {number} Delay in minutes
+     */
+  get delay() {
+    return this.data.delay_min;
+  }
+
+  /**
+     * Set the auto off delay.
+     * @param {number} delay - Delay in minutes
+     * @returns {Promise<Object>} Command result
+     */
+  async setDelay(delay) {
+    return this.call('set_auto_off_config', { 'delay_min': delay, 'enable': this.data.enable });
+  }
+
+  /**
+     * Return true if the auto off timer is running.
+     * @returns {boolean} Timer active
+     */
+  get isTimerActive() {
+    return this._device.sysInfo.auto_off_status === 'on';
+  }
+
+  /**
+     * Return the time when the device will be turned off automatically.
+     * @returns {Date|null} Auto off time, null if no timer is active
+     */
+  get autoOffAt() {
+    if (!this.isTimerActive) {
+      return null;
+    }
+
+    const remaining = this._device.sysInfo.auto_off_remain_time;
+    return new Date(this._device.time.getTime() + remaining * 1000);
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     *
+     * Parents reporting the components of their children have no
+     * auto_off_status in their device info.
+     * @returns {Promise<boolean>} True if supported
+     * @protected
+     */
+  async _checkSupported() {
+    return 'auto_off_status' in this._device.sysInfo;
+  }
+}
+
+SmartModule.registerModule(AutoOff);
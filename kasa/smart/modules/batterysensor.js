@@ -0,0 +1,78 @@
+/**
+ * Implementation of battery module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of battery module.
+ *
+ * @example
+ * const battery = child.modules[Module.BatterySensor];
+ * console.log(battery.battery, battery.batteryLow);
+ * // 87 false
+ */
+export class BatterySensor extends SmartModule {
+  static REQUIRED_COMPONENT = 'battery_detect';
+  static QUERY_GETTER_NAME = 'get_battery_detect_info';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'battery_low',
+      name: 'Battery low',
+      icon: 'mdi:alert',
+      attributeGetter: 'batteryLow',
+      type: Feature.Type.BinarySensor,
+      category: Feature.Category.Debug,
+    }));
+
+    // Some devices, like the T110 contact sensor, do not report the percentage
+    if ('battery_percentage' in this._device.sysInfo) {
+      this._addFeature(new Feature({
+        device: this._device,
+        container: this,
+        id: 'battery_level',
+        name: 'Battery level',
+        icon: 'mdi:battery',
+        attributeGetter: 'battery',
+        unitGetter: () => '%',
+        type: Feature.Type.Sensor,
+        category: Feature.Category.Info,
+      }));
+    }
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The battery state is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return battery level in percentage.
+     * @returns {number} Battery level
+     */
+  get battery() {
+    return this._device.sysInfo.battery_percentage;
+  }
+
+  /**
+     * Return true if the battery is low.
+     * @returns {boolean} Battery low
+     */
+  get batteryLow() {
+    return this._device.sysInfo.at_low_battery;
+  }
+}
+
+SmartModule.registerModule(BatterySensor);
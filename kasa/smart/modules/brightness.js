@@ -0,0 +1,112 @@
+/**
+ * Implementation of brightness module.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { Module } from '../../module.js';
+import { SmartModule } from '../smartmodule.js';
+
+const BRIGHTNESS_MIN = 0;
+const BRIGHTNESS_MAX = 100;
+
+/**
+ * Implementation of brightness module.
+ *
+ * @example
+ * const brightness = dev.modules[Module.Brightness];
+ * await brightness.setBrightness(50);
+ */
+export class Brightness extends SmartModule {
+  static REQUIRED_COMPONENT = 'brightness';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'brightness',
+      name: 'Brightness',
+      attributeGetter: 'brightness',
+      attributeSetter: 'setBrightness',
+      rangeGetter: () => [BRIGHTNESS_MIN, BRIGHTNESS_MAX],
+      unitGetter: () => '%',
+      type: Feature.Type.Number,
+      category: Feature.Category.Primary,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The brightness is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return the active light effect of the device, if any.
+     * @returns {SmartLightEffect|null} Active light effect
+     * @private
+     */
+  get _activeEffect() {
+    const lightEffect = this._device.modules[Module.SmartLightEffect];
+    return lightEffect?.isActive ? lightEffect : null;
+  }
+
+  /**
+     * Return the current brightness in percentage.
+     *
+     * The brightness of the effect is reported while an effect is active.
+     * @returns {number} Brightness percentage
+     */
+  get brightness() {
+    const effect = this._activeEffect;
+    if (effect) {
+      return effect.brightness;
+    }
+    return this.data.brightness;
+  }
+
+  /**
+     * Set the brightness in percentage.
+     *
+     * A brightness of 0 turns the light off. While an effect is active,
+     * the brightness of the effect is set instead.
+     * @param {number} brightness - Brightness in percent
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the brightness is out of range
+     */
+  async setBrightness(brightness) {
+    if (!Number.isInteger(brightness) || brightness < BRIGHTNESS_MIN || brightness > BRIGHTNESS_MAX) {
+      throw new KasaException(
+        `Invalid brightness value: ${brightness} (valid range: ${BRIGHTNESS_MIN}-${BRIGHTNESS_MAX}%)`
+      );
+    }
+
+    if (brightness === 0) {
+      return this._device.turnOff();
+    }
+
+    const effect = this._activeEffect;
+    if (effect) {
+      return effect.setBrightness(brightness);
+    }
+    return this.call('set_device_info', { 'brightness': brightness });
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     * @returns {Promise<boolean>} True if supported
+     * @protected
+     */
+  async _checkSupported() {
+    return 'brightness' in this.data;
+  }
+}
+
+SmartModule.registerModule(Brightness);
@@ -0,0 +1,38 @@
+/**
+ * Implementation for child devices.
+ */
+
+import { DeviceType } from '../../deviceType.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation for child devices.
+ *
+ * The module keeps the child device list up to date, the device updates the
+ * info of its children from it. Hubs also refresh the components, as their
+ * children can be paired and removed at any time.
+ *
+ * @example
+ * await hub.update();
+ * for (const child of hub.children) {
+ *   console.log(child.alias);
+ * }
+ */
+export class ChildDevice extends SmartModule {
+  static REQUIRED_COMPONENT = 'child_device';
+  static QUERY_GETTER_NAME = 'get_child_device_list';
+
+  /**
+     * Query to execute during the update cycle.
+     * @returns {Object} Query object
+     */
+  query() {
+    const q = super.query();
+    if (this._device.deviceType === DeviceType.Hub) {
+      q['get_child_device_component_list'] = null;
+    }
+    return q;
+  }
+}
+
+SmartModule.registerModule(ChildDevice);
@@ -0,0 +1,53 @@
+/**
+ * Implementation of cloud module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of cloud module.
+ *
+ * The connection state is already requested when negotiating with the device.
+ *
+ * @example
+ * const cloud = dev.modules[Module.Cloud];
+ * console.log(cloud.isConnected);
+ * // true
+ */
+export class Cloud extends SmartModule {
+  static REQUIRED_COMPONENT = 'cloud_connect';
+  static QUERY_GETTER_NAME = 'get_connect_cloud_state';
+  static MINIMUM_UPDATE_INTERVAL_SECS = 60;
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'cloud_connection',
+      name: 'Cloud connection',
+      icon: 'mdi:cloud',
+      attributeGetter: 'isConnected',
+      type: Feature.Type.BinarySensor,
+      category: Feature.Category.Info,
+    }));
+  }
+
+  /**
+     * Return true if the device is connected to the cloud.
+     *
+     * Devices without a cloud connection may answer the query with an error.
+     * @returns {boolean} Connection state
+     */
+  get isConnected() {
+    if (this._hasDataError()) {
+      return false;
+    }
+    return this.data.status === 0;
+  }
+}
+
+SmartModule.registerModule(Cloud);
@@ -0,0 +1,89 @@
+/**
+ * Implementation of color module.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { HSV } from '../../interfaces/light.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of color module.
+ *
+ * @example
+ * const color = dev.modules[Module.Color];
+ * await color.setHsv(180, 100, 80);
+ * await dev.update();
+ * console.log(color.hsv);
+ * // HSV(hue=180, saturation=100, value=80)
+ */
+export class Color extends SmartModule {
+  static REQUIRED_COMPONENT = 'color';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'hsv',
+      name: 'HSV',
+      attributeGetter: 'hsv',
+      attributeSetter: 'setHsv',
+      type: Feature.Type.Unknown,
+      category: Feature.Category.Primary,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The color is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return the current HSV state of the bulb.
+     * @returns {HSV} Hue, saturation and value (degrees, %, %)
+     */
+  get hsv() {
+    const data = this.data;
+    return new HSV(data.hue ?? 0, data.saturation ?? 0, data.brightness ?? 0);
+  }
+
+  /**
+     * Set new HSV.
+     *
+     * The color temperature takes precedence over the color on the device,
+     * so it gets reset.
+     * @param {number} hue - Hue in degrees
+     * @param {number} saturation - Saturation in percentage [0,100]
+     * @param {number|null} [value=null] - Value in percentage [1, 100]
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If a value is out of range
+     */
+  async setHsv(hue, saturation, value = null) {
+    if (!Number.isInteger(hue) || hue < 0 || hue > 360) {
+      throw new KasaException(`Invalid hue value: ${hue} (valid range: 0-360)`);
+    }
+    if (!Number.isInteger(saturation) || saturation < 0 || saturation > 100) {
+      throw new KasaException(`Invalid saturation value: ${saturation} (valid range: 0-100%)`);
+    }
+    // The device errors on a brightness of 0
+    if (value !== null && (!Number.isInteger(value) || value < 1 || value > 100)) {
+      throw new KasaException(`Invalid brightness value: ${value} (valid range: 1-100%)`);
+    }
+
+    const params = { 'color_temp': 0, 'hue': hue, 'saturation': saturation };
+    if (value !== null) {
+      params.brightness = value;
+    }
+    return this.call('set_device_info', params);
+  }
+}
+
+SmartModule.registerModule(Color);
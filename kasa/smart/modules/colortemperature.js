@@ -0,0 +1,108 @@
+/**
+ * Implementation of color temp module.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { ColorTempRange } from '../../interfaces/light.js';
+import { SmartModule } from '../smartmodule.js';
+
+const DEFAULT_TEMP_RANGE = [2500, 6500];
+
+/**
+ * Implementation of color temp module.
+ *
+ * @example
+ * const colorTemp = dev.modules[Module.ColorTemperature];
+ * console.log(colorTemp.validTemperatureRange);
+ * // ColorTempRange { min: 2500, max: 6500 }
+ * await colorTemp.setColorTemp(3000);
+ */
+export class ColorTemperature extends SmartModule {
+  static REQUIRED_COMPONENT = 'color_temperature';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'color_temp',
+      name: 'Color temperature',
+      attributeGetter: 'colorTemp',
+      attributeSetter: 'setColorTemp',
+      rangeGetter: () => {
+        const range = this.validTemperatureRange;
+        return [range.min, range.max];
+      },
+      unitGetter: () => 'K',
+      type: Feature.Type.Number,
+      category: Feature.Category.Primary,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The color temperature is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return the device-specific white temperature range (in Kelvin).
+     * @returns {ColorTempRange} White temperature range in Kelvin (min, max)
+     */
+  get validTemperatureRange() {
+    const [min, max] = this.data.color_temp_range ?? DEFAULT_TEMP_RANGE;
+    return new ColorTempRange(min, max);
+  }
+
+  /**
+     * Return current color temperature in Kelvin.
+     * @returns {number} Color temperature
+     */
+  get colorTemp() {
+    return this.data.color_temp;
+  }
+
+  /**
+     * Set the color temperature of the device in kelvin.
+     * @param {number} temp - The new color temperature, in Kelvin
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.brightness=null] - Brightness to set
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the temperature is out of range
+     */
+  async setColorTemp(temp, { brightness = null } = {}) {
+    const range = this.validTemperatureRange;
+    if (temp < range.min || temp > range.max) {
+      throw new KasaException(
+        `Temperature should be between ${range.min} and ${range.max}, was ${temp}`
+      );
+    }
+
+    const params = { 'color_temp': temp };
+    if (brightness) {
+      params.brightness = brightness;
+    }
+    return this.call('set_device_info', params);
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     *
+     * The color temperature can be disabled on some devices with a range of [0, 0].
+     * @returns {Promise<boolean>} True if supported
+     * @protected
+     */
+  async _checkSupported() {
+    const range = this.validTemperatureRange;
+    return range.min !== 0 || range.max !== 0;
+  }
+}
+
+SmartModule.registerModule(ColorTemperature);
@@ -0,0 +1,57 @@
+/**
+ * Implementation of contact sensor module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of contact sensor module.
+ *
+ * The sensors have no dedicated component, they are detected by the open
+ * state in their device info.
+ *
+ * @example
+ * const sensor = child.modules[Module.ContactSensor];
+ * console.log(sensor.isOpen);
+ * // false
+ */
+export class ContactSensor extends SmartModule {
+  static SYSINFO_LOOKUP_KEYS = ['open'];
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'is_open',
+      name: 'Open',
+      icon: 'mdi:door',
+      attributeGetter: 'isOpen',
+      type: Feature.Type.BinarySensor,
+      category: Feature.Category.Primary,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The contact state is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return true if the contact sensor is open.
+     * @returns {boolean} Open
+     */
+  get isOpen() {
+    return this._device.sysInfo.open;
+  }
+}
+
+SmartModule.registerModule(ContactSensor);
@@ -0,0 +1,146 @@
+/**
+ * Implementation of device module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of device module.
+ *
+ * Exposes the generic information reported in the device info as features.
+ *
+ * @example
+ * const deviceModule = dev.modules[Module.DeviceModule];
+ * console.log(deviceModule.rssi);
+ * // -45
+ * console.log(dev.features.signal_level.value);
+ * // 3
+ */
+export class DeviceModule extends SmartModule {
+  static REQUIRED_COMPONENT = 'device';
+
+  /**
+     * Initialize features after the initial update.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+    const data = this.data;
+
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'device_id',
+      name: 'Device ID',
+      attributeGetter: 'deviceId',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Debug,
+    }));
+
+    if ('signal_level' in data) {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id: 'signal_level',
+        name: 'Signal Level',
+        icon: 'mdi:signal',
+        attributeGetter: 'signalLevel',
+        type: Feature.Type.Sensor,
+        category: Feature.Category.Info,
+      }));
+    }
+
+    if ('rssi' in data) {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id: 'rssi',
+        name: 'RSSI',
+        icon: 'mdi:signal',
+        attributeGetter: 'rssi',
+        unitGetter: () => 'dBm',
+        type: Feature.Type.Sensor,
+        category: Feature.Category.Debug,
+      }));
+    }
+
+    if ('ssid' in data) {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id: 'ssid',
+        name: 'SSID',
+        icon: 'mdi:wifi',
+        attributeGetter: 'ssid',
+        type: Feature.Type.Sensor,
+        category: Feature.Category.Debug,
+      }));
+    }
+
+    if ('overheat_status' in data) {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id: 'overheated',
+        name: 'Overheated',
+        icon: 'mdi:heat-wave',
+        attributeGetter: 'overheated',
+        type: Feature.Type.BinarySensor,
+        category: Feature.Category.Info,
+      }));
+    }
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     * @returns {Object} Query object
+     */
+  query() {
+    return { 'get_device_info': null };
+  }
+
+  /**
+     * Return the device id.
+     * @returns {string} Device ID
+     */
+  get deviceId() {
+    return this.data.device_id;
+  }
+
+  /**
+     * Return the wifi signal level.
+     * @returns {number} Signal level
+     */
+  get signalLevel() {
+    return this.data.signal_level;
+  }
+
+  /**
+     * Return the rssi of the wifi connection.
+     * @returns {number} RSSI in dBm
+     */
+  get rssi() {
+    return this.data.rssi;
+  }
+
+  /**
+     * Return ssid of the connected wifi ap.
+     *
+     * The device reports the ssid base64 encoded.
+     * @returns {string} SSID
+     */
+  get ssid() {
+    const ssid = this.data.ssid;
+    return ssid ? Buffer.from(ssid, 'base64').toString('utf8') : '';
+  }
+
+  /**
+     * Return true if the device reports being overheated.
+     * @returns {boolean} Overheated state
+     */
+  get overheated() {
+    return this.data.overheat_status !== 'normal';
+  }
+}
+
+SmartModule.registerModule(DeviceModule);
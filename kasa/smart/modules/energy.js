@@ -0,0 +1,278 @@
+/**
+ * Implementation of energy monitoring module.
+ */
+
+import { EmeterStatus } from '../../emeterstatus.js';
+import { KasaException } from '../../exceptions.js';
+import { Energy as EnergyInterface } from '../../interfaces/energy.js';
+import { SmartModule, SmartModuleMixin, decorate, raiseIfUpdateError } from '../smartmodule.js';
+
+/**
+ * Interval values of the get_energy_data query in minutes.
+ */
+const EnergyDataInterval = {
+  Daily: 60 * 24,
+  Monthly: 60 * 24 * 30
+};
+
+/**
+ * Implementation of energy monitoring module.
+ *
+ * @example
+ * const energy = dev.modules[Module.Energy];
+ * console.log(energy.currentConsumption);
+ * // 12.5
+ * console.log(await energy.getDailyStats({ year: 2024, month: 1 }));
+ * // { 1: 0.254, 2: 0.3, ... }
+ */
+export class Energy extends SmartModuleMixin(EnergyInterface) {
+  static REQUIRED_COMPONENT = 'energy_monitoring';
+
+  /**
+     * Create a new Energy module.
+     * @param {SmartDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._energy = {};
+    this._currentConsumption = null;
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * Newer firmware versions also report the current power and
+     * the voltage and current readings.
+     * @returns {Object} Query object
+     */
+  query() {
+    const req = { 'get_energy_usage': null };
+    if (this.supportedVersion > 1) {
+      req['get_current_power'] = null;
+      req['get_emeter_data'] = null;
+    }
+    return req;
+  }
+
+  /**
+     * Update the readings and supported features after a device update.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    const data = this.data;
+    // With a single query the data is the get_energy_usage response
+    this._energy = data.get_energy_usage ?? data;
+
+    this._supported = EnergyInterface.ModuleFeature.PERIODIC_STATS;
+    const emeterData = data.get_emeter_data ?? {};
+    if ('voltage_mv' in emeterData) {
+      this._supported |= EnergyInterface.ModuleFeature.VOLTAGE_CURRENT;
+    }
+
+    // The current power of get_energy_usage and get_emeter_data is reported in mW,
+    // get_current_power reports it in W.
+    const power = this._energy.current_power ?? emeterData.power_mw;
+    if (power !== undefined && power !== null) {
+      this._currentConsumption = power / 1000;
+    } else {
+      this._currentConsumption = data.get_current_power?.current_power ?? null;
+    }
+  }
+
+  /**
+     * Return the raw energy usage as reported by the device.
+     * @returns {Object} Energy usage
+     */
+  get energy() {
+    return this._energy;
+  }
+
+  /**
+     * Create the energy status from an energy usage response.
+     * @param {Object} energy - Energy usage response
+     * @returns {EmeterStatus} Energy status
+     * @private
+     */
+  _getStatusFromEnergy(energy) {
+    const status = {
+      'power_mw': energy.current_power ?? 0,
+      'total': (energy.today_energy ?? 0) / 1000
+    };
+    if (this.supports(EnergyInterface.ModuleFeature.VOLTAGE_CURRENT)) {
+      const emeterData = this.data.get_emeter_data;
+      status['voltage_mv'] = emeterData.voltage_mv;
+      status['current_ma'] = emeterData.current_ma;
+    }
+    return new EmeterStatus(status);
+  }
+
+  /**
+     * Return current energy readings.
+     * @returns {EmeterStatus} Energy status
+     */
+  get status() {
+    return this._getStatusFromEnergy(this._energy);
+  }
+
+  /**
+     * Get the current power consumption in Watt.
+     * @returns {number|null} Current consumption in watts
+     */
+  get currentConsumption() {
+    return this._currentConsumption;
+  }
+
+  /**
+     * Return today's energy consumption in kWh.
+     * @returns {number} Today's consumption in kWh
+     */
+  get consumptionToday() {
+    return (this._energy.today_energy ?? 0) / 1000;
+  }
+
+  /**
+     * Return this month's energy consumption in kWh.
+     * @returns {number} This month's consumption in kWh
+     */
+  get consumptionThisMonth() {
+    return (this._energy.month_energy ?? 0) / 1000;
+  }
+
+  /**
+     * Return total consumption since last reboot in kWh.
+     *
+     * Not reported by the SMART devices.
+     * @returns {null} Total consumption
+     */
+  get consumptionTotal() {
+    return null;
+  }
+
+  /**
+     * Return the current in A.
+     * @returns {number|null} Current in amperes
+     */
+  get current() {
+    const ma = this.data.get_emeter_data?.current_ma;
+    return ma !== undefined && ma !== null ? ma / 1000 : null;
+  }
+
+  /**
+     * Get the current voltage in V.
+     * @returns {number|null} Voltage in volts
+     */
+  get voltage() {
+    const mv = this.data.get_emeter_data?.voltage_mv;
+    return mv !== undefined && mv !== null ? mv / 1000 : null;
+  }
+
+  /**
+     * Return real-time statistics.
+     * @returns {Promise<EmeterStatus>} Energy status
+     */
+  async getStatus() {
+    return this._getStatusFromEnergy(await this.call('get_energy_usage'));
+  }
+
+  /**
+     * Erase all stats.
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} Always, the device does not support erasing the stats
+     */
+  async eraseStats() {
+    throw new KasaException('Device does not support erasing the energy statistics');
+  }
+
+  /**
+     * Return the energy data for the given period.
+     * @param {Date} start - Start of the period
+     * @param {Date} end - End of the period
+     * @param {number} interval - Interval of the entries in minutes
+     * @returns {Promise<Array<number>>} Energy per interval in Wh
+     * @private
+     */
+  async _getEnergyData(start, end, interval) {
+    const resp = await this.call('get_energy_data', {
+      'start_timestamp': Math.floor(start.getTime() / 1000),
+      'end_timestamp': Math.floor(end.getTime() / 1000),
+      'interval': interval
+    });
+    return resp.data ?? [];
+  }
+
+  /**
+     * Return daily stats for the given year & month.
+     *
+     * The return value is a dictionary of {day: energy, ...}.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {number|null} [options.month=null] - Month, defaults to the current month
+     * @param {boolean} [options.kwh=true] - Return kWh, Wh otherwise
+     * @returns {Promise<Object>} Energy per day
+     */
+  async getDailyStats({ year = null, month = null, kwh = true } = {}) {
+    const now = new Date();
+    year = year ?? now.getFullYear();
+    month = month ?? now.getMonth() + 1;
+
+    const data = await this._getEnergyData(
+      new Date(year, month - 1, 1),
+      new Date(year, month, 0),
+      EnergyDataInterval.Daily
+    );
+    return this._convertStatData(data, kwh);
+  }
+
+  /**
+     * Return monthly stats for the given year.
+     *
+     * The return value is a dictionary of {month: energy, ...}.
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.year=null] - Year, defaults to the current year
+     * @param {boolean} [options.kwh=true] - Return kWh, Wh otherwise
+     * @returns {Promise<Object>} Energy per month
+     */
+  async getMonthlyStats({ year = null, kwh = true } = {}) {
+    year = year ?? new Date().getFullYear();
+
+    const data = await this._getEnergyData(
+      new Date(year, 0, 1),
+      new Date(year, 11, 1),
+      EnergyDataInterval.Monthly
+    );
+    return this._convertStatData(data, kwh);
+  }
+
+  /**
+     * Return the energy data keyed with the day/month.
+     * @param {Array<number>} data - Energy per interval in Wh, starting with the first day/month
+     * @param {boolean} kwh - Return kWh, Wh otherwise
+     * @returns {Object} Energy keyed by day/month
+     * @private
+     */
+  _convertStatData(data, kwh) {
+    const scale = kwh ? 1 / 1000 : 1;
+    return Object.fromEntries(data.map((value, idx) => [idx + 1, value * scale]));
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     *
+     * The energy module is not supported on parent devices like P304M.
+     * @returns {Promise<boolean>} True if supported
+     * @protected
+     */
+  async _checkSupported() {
+    return 'device_on' in this._device.sysInfo;
+  }
+}
+
+for (const property of [
+  'energy', 'status', 'currentConsumption', 'consumptionToday',
+  'consumptionThisMonth', 'current', 'voltage'
+]) {
+  decorate(Energy, property, raiseIfUpdateError);
+}
+
+SmartModule.registerModule(Energy);
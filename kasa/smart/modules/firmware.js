@@ -0,0 +1,339 @@
+/**
+ * Implementation of firmware module.
+ */
+
+import { KasaException, TimeoutError } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { SmartModule, allowUpdateAfter, decorate } from '../smartmodule.js';
+
+/**
+ * Status codes of the firmware download state.
+ */
+export const DownloadStatus = {
+  /** No update in progress, reported again once the device is back */
+  Idle: 0,
+  /** Firmware is being downloaded */
+  Downloading: 2,
+  /** Firmware is being flashed */
+  Flashing: 3
+};
+
+/**
+ * Download state of a firmware update.
+ */
+export class DownloadState {
+  /**
+     * Create a download state.
+     * @param {Object} options - State options
+     * @param {number} options.status - Status code, see DownloadStatus; negative on errors
+     * @param {number} [options.progress=0] - Download progress in percent
+     * @param {number} [options.rebootTime=0] - Reboot time in seconds
+     * @param {number} [options.upgradeTime=0] - Upgrade time in seconds
+     * @param {boolean} [options.autoUpgrade=false] - Whether the upgrade was started automatically
+     */
+  constructor({ status, progress = 0, rebootTime = 0, upgradeTime = 0, autoUpgrade = false }) {
+    this.status = status;
+    this.progress = progress;
+    this.rebootTime = rebootTime;
+    this.upgradeTime = upgradeTime;
+    this.autoUpgrade = autoUpgrade;
+  }
+
+  /**
+     * Create a download state from the device representation.
+     * @param {Object} data - State as returned by the device
+     * @returns {DownloadState} State instance
+     * @static
+     */
+  static fromDict(data) {
+    return new DownloadState({
+      status: data.status,
+      progress: data.download_progress ?? 0,
+      rebootTime: data.reboot_time ?? 0,
+      upgradeTime: data.upgrade_time ?? 0,
+      autoUpgrade: Boolean(data.auto_upgrade)
+    });
+  }
+}
+
+/**
+ * Update info of the latest firmware.
+ */
+export class UpdateInfo {
+  /**
+     * Create an update info.
+     * @param {Object} options - Update info options
+     * @param {number} options.status - Update type, 0 if no update is available
+     * @param {string|null} [options.version=null] - Version of the latest firmware
+     * @param {string|null} [options.releaseDate=null] - Release date of the latest firmware
+     * @param {string|null} [options.releaseNotes=null] - Release notes of the latest firmware
+     * @param {number|null} [options.fwSize=null] - Size of the latest firmware
+     * @param {boolean} [options.needsUpgrade=false] - Whether the device needs the upgrade
+     */
+  constructor({
+    status,
+    version = null,
+    releaseDate = null,
+    releaseNotes = null,
+    fwSize = null,
+    needsUpgrade = false
+  }) {
+    this.status = status;
+    this.version = version;
+    this.releaseDate = releaseDate;
+    this.releaseNotes = releaseNotes;
+    this.fwSize = fwSize;
+    this.needsUpgrade = needsUpgrade;
+  }
+
+  /**
+     * Create an update info from the device representation.
+     * @param {Object} data - Update info as returned by the device
+     * @returns {UpdateInfo} Update info instance
+     * @static
+     */
+  static fromDict(data) {
+    return new UpdateInfo({
+      status: data.type,
+      version: data.fw_ver || null,
+      releaseDate: data.release_date || null,
+      releaseNotes: data.release_note || null,
+      fwSize: data.fw_size ?? null,
+      needsUpgrade: Boolean(data.need_to_upgrade)
+    });
+  }
+
+  /**
+     * Return true if a firmware update is available.
+     * @returns {boolean} Update available
+     */
+  get updateAvailable() {
+    return this.status !== 0;
+  }
+}
+
+/**
+ * Implementation of firmware module.
+ *
+ * The latest firmware is only looked up on request, as the device has to
+ * ask the cloud for it.
+ *
+ * @example
+ * const firmware = dev.modules[Module.Firmware];
+ * await firmware.checkLatestFirmware();
+ * if (firmware.updateAvailable) {
+ *   for await (const state of firmware.updateFirmware()) {
+ *     console.log(state.status, state.progress);
+ *   }
+ * }
+ */
+export class Firmware extends SmartModule {
+  static REQUIRED_COMPONENT = 'firmware';
+  static MINIMUM_UPDATE_INTERVAL_SECS = 60 * 60 * 24;
+  static UPDATE_POLL_INTERVAL = 500;
+  static UPDATE_TIMEOUT = 5 * 60 * 1000;
+
+  /**
+     * Create a new Firmware module.
+     * @param {SmartDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._firmwareUpdateInfo = null;
+  }
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    const device = this._device;
+    if (this.supportedVersion > 1) {
+      this._addFeature(new Feature({
+        device,
+        container: this,
+        id: 'auto_update_enabled',
+        name: 'Auto update enabled',
+        icon: 'mdi:link',
+        attributeGetter: 'autoUpdateEnabled',
+        attributeSetter: 'setAutoUpdateEnabled',
+        type: Feature.Type.Switch,
+        category: Feature.Category.Config,
+      }));
+    }
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'update_available',
+      name: 'Update available',
+      attributeGetter: 'updateAvailable',
+      type: Feature.Type.BinarySensor,
+      category: Feature.Category.Info,
+    }));
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'current_firmware_version',
+      name: 'Current firmware version',
+      attributeGetter: 'currentFirmware',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Debug,
+    }));
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'available_firmware_version',
+      name: 'Available firmware version',
+      attributeGetter: 'latestFirmware',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Debug,
+    }));
+    this._addFeature(new Feature({
+      device,
+      container: this,
+      id: 'check_latest_firmware',
+      name: 'Check latest firmware',
+      attributeSetter: 'checkLatestFirmware',
+      type: Feature.Type.Action,
+      category: Feature.Category.Info,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * Only version 2 and later support automatic updates.
+     * @returns {Object} Query object
+     */
+  query() {
+    if (this.supportedVersion > 1) {
+      return { 'get_auto_update_info': null };
+    }
+    return {};
+  }
+
+  /**
+     * Look up the latest firmware for the device.
+     * @returns {Promise<UpdateInfo>} Update info
+     */
+  async checkLatestFirmware() {
+    this._firmwareUpdateInfo = null;
+    const fw = await this.call('get_latest_firmware');
+    this._firmwareUpdateInfo = UpdateInfo.fromDict(fw);
+    return this._firmwareUpdateInfo;
+  }
+
+  /**
+     * Return the current firmware version.
+     * @returns {string} Firmware version
+     */
+  get currentFirmware() {
+    return this._device.hwInfo.sw_ver;
+  }
+
+  /**
+     * Return the latest firmware version.
+     * @returns {string|null} Firmware version, null if not checked yet
+     */
+  get latestFirmware() {
+    return this._firmwareUpdateInfo?.version ?? null;
+  }
+
+  /**
+     * Return the update info of the latest firmware.
+     * @returns {UpdateInfo|null} Update info, null if not checked yet
+     */
+  get firmwareUpdateInfo() {
+    return this._firmwareUpdateInfo;
+  }
+
+  /**
+     * Return true if a firmware update is available.
+     * @returns {boolean|null} Update available, null if not checked yet
+     */
+  get updateAvailable() {
+    return this._firmwareUpdateInfo?.updateAvailable ?? null;
+  }
+
+  /**
+     * Return the current download state.
+     * @returns {Promise<DownloadState>} Download state
+     */
+  async getUpdateState() {
+    return DownloadState.fromDict(await this.call('get_fw_download_state'));
+  }
+
+  /**
+     * Download and install the latest firmware.
+     *
+     * The download and upgrade state is polled until the device reports to be
+     * idle again. Errors while polling are ignored, as the device is not
+     * reachable while it reboots.
+     * @param {Object} [options] - Options
+     * @param {number} [options.pollInterval=500] - Poll interval in milliseconds
+     * @param {number} [options.timeout=300000] - Maximum update duration in milliseconds
+     * @yields {DownloadState} Download state after each poll
+     * @throws {KasaException} If no update is available or the device reports an error
+     * @throws {TimeoutError} If the update does not finish in time
+     */
+  async *updateFirmware({
+    pollInterval = Firmware.UPDATE_POLL_INTERVAL,
+    timeout = Firmware.UPDATE_TIMEOUT
+  } = {}) {
+    if (!this._firmwareUpdateInfo) {
+      throw new KasaException('You must call checkLatestFirmware before calling updateFirmware');
+    }
+    if (!this.updateAvailable) {
+      throw new KasaException('A new update must be available to call updateFirmware');
+    }
+
+    await this.call('fw_download');
+
+    const deadline = Date.now() + timeout;
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    while (Date.now() < deadline) {
+      await sleep(pollInterval);
+
+      let state;
+      try {
+        state = await this.getUpdateState();
+      } catch {
+        continue;
+      }
+      yield state;
+
+      if (state.status === DownloadStatus.Idle) {
+        return;
+      }
+      if (state.status < 0) {
+        throw new KasaException(`Firmware update failed with status ${state.status}`);
+      }
+      if (state.status === DownloadStatus.Flashing) {
+        // The device does not answer while flashing the firmware
+        await sleep(state.upgradeTime * 1000);
+      }
+    }
+    throw new TimeoutError(`Firmware update did not finish in ${timeout} ms`);
+  }
+
+  /**
+     * Return true if automatic updates are enabled.
+     * @returns {boolean} Auto update enabled
+     */
+  get autoUpdateEnabled() {
+    return Boolean(this.data.enable);
+  }
+
+  /**
+     * Enable or disable automatic updates.
+     * @param {boolean} enabled - Whether to enable automatic updates
+     * @returns {Promise<Object>} Command result
+     */
+  async setAutoUpdateEnabled(enabled) {
+    return this.call('set_auto_update_info', { ...this.data, 'enable': enabled });
+  }
+}
+
+decorate(Firmware, 'setAutoUpdateEnabled', allowUpdateAfter);
+
+SmartModule.registerModule(Firmware);
@@ -0,0 +1,76 @@
+/**
+ * Implementation of humidity sensor module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of humidity sensor module.
+ *
+ * The readings are part of the device info of the hub children.
+ *
+ * @example
+ * const sensor = child.modules[Module.HumiditySensor];
+ * console.log(sensor.humidity);
+ * // 48
+ */
+export class HumiditySensor extends SmartModule {
+  static REQUIRED_COMPONENT = 'humidity';
+  static QUERY_GETTER_NAME = 'get_comfort_humidity_config';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'humidity',
+      name: 'Humidity',
+      icon: 'mdi:water-percent',
+      attributeGetter: 'humidity',
+      unitGetter: () => '%',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Primary,
+    }));
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'humidity_warning',
+      name: 'Humidity warning',
+      icon: 'mdi:alert',
+      attributeGetter: 'humidityWarning',
+      type: Feature.Type.BinarySensor,
+      category: Feature.Category.Debug,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The humidity is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return current humidity in percentage.
+     * @returns {number} Humidity
+     */
+  get humidity() {
+    return this._device.sysInfo.current_humidity;
+  }
+
+  /**
+     * Return true if the humidity is outside the configured comfort range.
+     * @returns {boolean} Humidity warning
+     */
+  get humidityWarning() {
+    return (this._device.sysInfo.current_humidity_exception ?? 0) !== 0;
+  }
+}
+
+SmartModule.registerModule(HumiditySensor);
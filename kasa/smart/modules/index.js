@@ -0,0 +1,26 @@
+/**
+ * Modules for SMART devices.
+ */
+
+export { AutoOff } from './autooff.js';
+export { BatterySensor } from './batterysensor.js';
+export { Brightness } from './brightness.js';
+export { ChildDevice } from './childdevice.js';
+export { Cloud } from './cloud.js';
+export { Color } from './color.js';
+export { ColorTemperature } from './colortemperature.js';
+export { ContactSensor } from './contactsensor.js';
+export { DeviceModule } from './devicemodule.js';
+export { Energy } from './energy.js';
+export { DownloadState, DownloadStatus, Firmware, UpdateInfo } from './firmware.js';
+export { HumiditySensor } from './humiditysensor.js';
+export { Led, LedRule } from './led.js';
+export { Light } from './light.js';
+export { LightEffect } from './lighteffect.js';
+export { LightPreset } from './lightpreset.js';
+export { LightStripEffect } from './lightstripeffect.js';
+export { LightTransition } from './lighttransition.js';
+export { MotionSensor } from './motionsensor.js';
+export { TemperatureSensor, TemperatureUnit } from './temperaturesensor.js';
+export { Time } from './time.js';
+export { WaterleakSensor, WaterleakStatus } from './waterleaksensor.js';
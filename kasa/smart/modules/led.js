@@ -0,0 +1,118 @@
+/**
+ * Module for led controls.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { Led as LedInterface } from '../../interfaces/led.js';
+import { SmartModule, SmartModuleMixin } from '../smartmodule.js';
+
+/**
+ * Rules for the led of the device.
+ */
+export const LedRule = {
+  /** The led is always on */
+  Always: 'always',
+  /** The led is always off */
+  Never: 'never',
+  /** The led is off during the night */
+  NightMode: 'auto'
+};
+
+/**
+ * Implementation of led controls.
+ *
+ * @example
+ * const led = dev.modules[Module.Led];
+ * await led.setMode(LedRule.NightMode);
+ * await dev.update();
+ * console.log(led.led);
+ * // true
+ */
+export class Led extends SmartModuleMixin(LedInterface) {
+  static REQUIRED_COMPONENT = 'led';
+  static QUERY_GETTER_NAME = 'get_led_info';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    super._initializeFeatures();
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'led_mode',
+      name: 'LED mode',
+      icon: 'mdi:led',
+      attributeGetter: 'mode',
+      attributeSetter: 'setMode',
+      choicesGetter: () => Object.values(LedRule),
+      type: Feature.Type.Choice,
+      category: Feature.Category.Config,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     * @returns {Object} Query object
+     */
+  query() {
+    return { [Led.QUERY_GETTER_NAME]: { 'led_rule': null } };
+  }
+
+  /**
+     * LED mode setting.
+     * @returns {string} Rule, see LedRule
+     */
+  get mode() {
+    return this.data.led_rule;
+  }
+
+  /**
+     * Return the state of the led.
+     *
+     * The led is considered on unless the rule turns it off permanently.
+     * @returns {boolean} LED status
+     */
+  get led() {
+    return this.mode !== LedRule.Never;
+  }
+
+  /**
+     * Return the night mode settings.
+     * @returns {Object} Night mode start, end, type and sunrise/sunset offsets
+     */
+  get nightModeSettings() {
+    return {
+      start: this.data.start_time,
+      end: this.data.end_time,
+      type: this.data.night_mode_type,
+      sunriseOffset: this.data.sunrise_offset,
+      sunsetOffset: this.data.sunset_offset
+    };
+  }
+
+  /**
+     * Set the state of the led.
+     * @param {boolean} enable - Whether to enable the led
+     * @returns {Promise<Object>} Command result
+     */
+  async setLed(enable) {
+    return this.setMode(enable ? LedRule.Always : LedRule.Never);
+  }
+
+  /**
+     * Set the led rule.
+     * @param {string} mode - Rule, see LedRule
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the rule is invalid
+     */
+  async setMode(mode) {
+    if (!Object.values(LedRule).includes(mode)) {
+      throw new KasaException(`Invalid led mode ${mode}, use one of ${Object.values(LedRule).join(', ')}`);
+    }
+    return this.call('set_led_info', { ...this.data, 'led_rule': mode });
+  }
+}
+
+SmartModule.registerModule(Led);
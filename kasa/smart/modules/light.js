@@ -0,0 +1,205 @@
+/**
+ * Module for the light interface of SMART devices.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Light as LightInterface, LightState } from '../../interfaces/light.js';
+import { Module } from '../../module.js';
+import { SmartModuleMixin } from '../smartmodule.js';
+
+/**
+ * Implementation of the light interface.
+ *
+ * The light combines the Brightness, Color and ColorTemperature modules of
+ * the device. It is added by the device when any of them is supported.
+ *
+ * @example
+ * const light = dev.modules[Module.Light];
+ * await light.setState(new LightState({ lightOn: true, hue: 120, saturation: 80 }));
+ * await dev.update();
+ * console.log(light.state);
+ * // LightState { lightOn: true, brightness: 50, hue: 120, saturation: 80, ... }
+ */
+export class Light extends SmartModuleMixin(LightInterface) {
+  /**
+     * Create a new Light module.
+     * @param {SmartDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._lightState = new LightState();
+  }
+
+  /**
+     * Get the features of the brightness, color and color temperature modules.
+     * @returns {Object<string, Feature>} Feature map
+     */
+  get _allFeatures() {
+    const features = {};
+    for (const name of [Module.Brightness, Module.Color, Module.ColorTemperature]) {
+      const module = this._device.modules[name];
+      if (module) {
+        Object.assign(features, module._moduleFeatures);
+      }
+    }
+    return features;
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The light state is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return the given module of the device.
+     * @param {string} name - Module name
+     * @param {string} message - Error message if the module is not supported
+     * @returns {SmartModule} Module
+     * @throws {KasaException} If the device does not support the module
+     * @private
+     */
+  _getModule(name, message) {
+    const module = this._device.modules[name];
+    if (!module) {
+      throw new KasaException(message);
+    }
+    return module;
+  }
+
+  /**
+     * Return the current HSV state of the bulb.
+     * @returns {HSV} Hue, saturation and value (degrees, %, %)
+     * @throws {KasaException} If the light does not support color
+     */
+  get hsv() {
+    return this._getModule(Module.Color, 'Bulb does not support color.').hsv;
+  }
+
+  /**
+     * Return current color temperature in Kelvin.
+     * @returns {number} Color temperature
+     * @throws {KasaException} If the light does not support color temperature
+     */
+  get colorTemp() {
+    return this._getModule(Module.ColorTemperature, 'Bulb does not support colortemp.').colorTemp;
+  }
+
+  /**
+     * Return the current brightness in percentage.
+     * @returns {number} Brightness percentage
+     * @throws {KasaException} If the light is not dimmable
+     */
+  get brightness() {
+    return this._getModule(Module.Brightness, 'Bulb is not dimmable.').brightness;
+  }
+
+  /**
+     * Set new HSV.
+     *
+     * Note, transition is not supported and will be ignored.
+     * @param {number} hue - Hue in degrees
+     * @param {number} saturation - Saturation in percentage [0,100]
+     * @param {number|null} [value=null] - Value in percentage [0, 100]
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the light does not support color
+     */
+  async setHsv(hue, saturation, value = null) {
+    return this._getModule(Module.Color, 'Bulb does not support color.')
+      .setHsv(hue, saturation, value);
+  }
+
+  /**
+     * Set the color temperature of the device in kelvin.
+     *
+     * Note, transition is not supported and will be ignored.
+     * @param {number} temp - The new color temperature, in Kelvin
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.brightness=null] - Brightness to set
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the light does not support color temperature
+     */
+  async setColorTemp(temp, { brightness = null } = {}) {
+    return this._getModule(Module.ColorTemperature, 'Bulb does not support colortemp.')
+      .setColorTemp(temp, { brightness });
+  }
+
+  /**
+     * Set the brightness in percentage.
+     *
+     * Note, transition is not supported and will be ignored.
+     * @param {number} brightness - Brightness in percent
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the light is not dimmable
+     */
+  async setBrightness(brightness) {
+    return this._getModule(Module.Brightness, 'Bulb is not dimmable.').setBrightness(brightness);
+  }
+
+  /**
+     * Update the light state after a device update.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    const device = this._device;
+    if (!device.isOn) {
+      this._lightState = new LightState({ lightOn: false });
+      return;
+    }
+
+    const state = new LightState({ lightOn: true });
+    if (Module.Brightness in device.modules) {
+      state.brightness = this.brightness;
+    }
+    if (Module.Color in device.modules) {
+      const hsv = this.hsv;
+      state.hue = hsv.hue;
+      state.saturation = hsv.saturation;
+    }
+    if (Module.ColorTemperature in device.modules) {
+      state.colorTemp = this.colorTemp;
+    }
+    this._lightState = state;
+  }
+
+  /**
+     * Return the current light state.
+     * @returns {LightState} Light state
+     */
+  get state() {
+    return this._lightState;
+  }
+
+  /**
+     * Set the light state.
+     *
+     * Values left as null in the state are not changed on the device.
+     * Note, transition is not supported and will be ignored.
+     * @param {LightState} state - New light state
+     * @returns {Promise<Object>} Command result
+     */
+  async setState(state) {
+    const params = {
+      device_on: state.lightOn,
+      brightness: state.brightness,
+      hue: state.hue,
+      saturation: state.saturation,
+      color_temp: state.colorTemp
+    };
+    // A brightness of 0 turns off the light, it is not a valid brightness
+    if (state.brightness === 0) {
+      params.device_on = false;
+      params.brightness = null;
+    }
+
+    return this.call(
+      'set_device_info',
+      Object.fromEntries(Object.entries(params).filter(([, v]) => v !== null && v !== undefined))
+    );
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Module for light effects of bulbs.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { SmartLightEffect } from '../effects.js';
+import { SmartModule, allowUpdateAfter, decorate } from '../smartmodule.js';
+
+/**
+ * Implementation of dynamic light effects for bulbs.
+ *
+ * The bulbs provide a fixed set of effects whose brightness can be adjusted.
+ *
+ * @example
+ * const lightEffect = dev.modules[Module.LightEffect];
+ * await lightEffect.setEffect('Party');
+ */
+export class LightEffect extends SmartLightEffect {
+  static REQUIRED_COMPONENT = 'light_effect';
+  static QUERY_GETTER_NAME = 'get_dynamic_light_effect_rules';
+  static MINIMUM_UPDATE_INTERVAL_SECS = 60 * 60 * 24;
+  static AVAILABLE_BULB_EFFECTS = { 'L1': 'Party', 'L2': 'Relax' };
+
+  /**
+     * Create a new LightEffect module.
+     * @param {SmartDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._scenesNamesToId = {};
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     * @returns {Object} Query object
+     */
+  query() {
+    return { [this.constructor.QUERY_GETTER_NAME]: { 'start_index': 0 } };
+  }
+
+  /**
+     * Update the effect names after a device update.
+     *
+     * User defined scenes report their name base64 encoded.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    this._scenesNamesToId = {};
+    for (const effect of this.data.rule_list) {
+      const name = effect.scene_name
+        ? Buffer.from(effect.scene_name, 'base64').toString('utf8')
+        : LightEffect.AVAILABLE_BULB_EFFECTS[effect.id];
+      this._scenesNamesToId[name] = effect.id;
+    }
+  }
+
+  /**
+     * Return built-in effects list.
+     * @returns {Array<string>} Effect names
+     */
+  get effectList() {
+    return [SmartLightEffect.LIGHT_EFFECTS_OFF, ...Object.keys(this._scenesNamesToId)];
+  }
+
+  /**
+     * Return effect name.
+     * @returns {string} Effect name
+     */
+  get effect() {
+    if (this._device.sysInfo.dynamic_light_effect_enable) {
+      const effectId = this._device.sysInfo.dynamic_light_effect_id;
+      const name = Object.keys(this._scenesNamesToId)
+        .find(key => this._scenesNamesToId[key] === effectId);
+      if (name !== undefined) {
+        return name;
+      }
+    }
+    return SmartLightEffect.LIGHT_EFFECTS_OFF;
+  }
+
+  /**
+     * Return true if an effect is active.
+     * @returns {boolean} Effect active
+     */
+  get isActive() {
+    return Boolean(this._device.sysInfo.dynamic_light_effect_enable);
+  }
+
+  /**
+     * Return whether the device supports custom effects.
+     * @returns {boolean} Supports custom effects
+     */
+  get hasCustomEffects() {
+    return false;
+  }
+
+  /**
+     * Return the data of the given effect.
+     * @param {string|null} [effectId=null] - Effect id, defaults to the current effect
+     * @returns {Object} Effect data
+     * @private
+     */
+  _getEffectData(effectId = null) {
+    const id = effectId ?? this.data.current_rule_id;
+    return this.data.rule_list.find(effect => effect.id === id);
+  }
+
+  /**
+     * Return effect brightness.
+     * @returns {number} Brightness
+     */
+  get brightness() {
+    return this._getEffectData().brightness;
+  }
+
+  /**
+     * Set effect brightness.
+     *
+     * A brightness of 0 turns the effect off.
+     * @param {number} brightness - Brightness
+     * @param {Object} [options] - Options
+     * @param {string|null} [options.effectId=null] - Effect id, defaults to the current effect
+     * @returns {Promise<Object>} Command result
+     */
+  async setBrightness(brightness, { effectId = null } = {}) {
+    if (brightness <= 0) {
+      return this.setEffect(SmartLightEffect.LIGHT_EFFECTS_OFF);
+    }
+
+    const effect = this._getEffectData(effectId);
+    const newEffect = {
+      ...effect,
+      'color_status_list': effect.color_status_list.map(([, ...rest]) => [brightness, ...rest])
+    };
+    return this.call('edit_dynamic_light_effect_rule', newEffect);
+  }
+
+  /**
+     * Set an effect on the device.
+     *
+     * The brightness of the effect is set before activating it.
+     * @param {string} effect - Name of the effect to set
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.brightness=null] - Brightness, defaults to the brightness of the effect
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the effect is not supported by the device
+     */
+  async setEffect(effect, { brightness = null } = {}) {
+    if (effect !== SmartLightEffect.LIGHT_EFFECTS_OFF && !(effect in this._scenesNamesToId)) {
+      throw new KasaException(
+        `The effect ${effect} is not a built in effect. Please use one of ${this.effectList.join(', ')}`
+      );
+    }
+
+    const enable = effect !== SmartLightEffect.LIGHT_EFFECTS_OFF;
+    const params = { 'enable': enable };
+    if (enable) {
+      const effectId = this._scenesNamesToId[effect];
+      params.id = effectId;
+      await this.setBrightness(brightness ?? this._getEffectData(effectId).brightness, { effectId });
+    }
+    return this.call('set_dynamic_light_effect_rule_enable', params);
+  }
+
+  /**
+     * Set a custom effect on the device.
+     * @param {Object} effectDict - The custom effect definition
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} Always, bulbs do not support custom effects
+     */
+  async setCustomEffect(_effectDict) {
+    throw new KasaException('Device does not support setting custom effects.');
+  }
+}
+
+for (const method of ['setBrightness', 'setEffect']) {
+  decorate(LightEffect, method, allowUpdateAfter);
+}
+
+SmartModule.registerModule(LightEffect);
@@ -0,0 +1,212 @@
+/**
+ * Module for light presets.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { LightState } from '../../interfaces/light.js';
+import { LightPreset as LightPresetInterface } from '../../interfaces/lightpreset.js';
+import { Module } from '../../module.js';
+import { SmartModule, SmartModuleMixin, allowUpdateAfter, decorate } from '../smartmodule.js';
+
+/**
+ * Implementation of light presets.
+ *
+ * Child lights report the presets in their device info, other devices are
+ * queried with get_preset_rules. Devices without color support only store
+ * a list of brightness values.
+ *
+ * @example
+ * const presets = dev.modules[Module.LightPreset];
+ * console.log(presets.presetList);
+ * // ['Not set', 'Light preset 1', 'Light preset 2', ...]
+ * await presets.setPreset('Light preset 1');
+ * await presets.savePreset('Light preset 1', new LightState({ brightness: 50, colorTemp: 2700 }));
+ */
+export class LightPreset extends SmartModuleMixin(LightPresetInterface) {
+  static REQUIRED_COMPONENT = 'preset';
+  static QUERY_GETTER_NAME = 'get_preset_rules';
+  static MINIMUM_UPDATE_INTERVAL_SECS = 60;
+  static SYS_INFO_STATE_KEY = 'preset_state';
+
+  /**
+     * Create a new LightPreset module.
+     * @param {SmartDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._stateInSysinfo = LightPreset.SYS_INFO_STATE_KEY in device.sysInfo;
+    this._brightnessOnly = false;
+    this._presets = {};
+    this._presetList = [LightPresetInterface.PRESET_NOT_SET];
+  }
+
+  /**
+     * Update the presets after a device update.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    this._presets = {};
+    const stateKey = this._stateInSysinfo ? LightPreset.SYS_INFO_STATE_KEY : 'states';
+    const presetStates = this.data[stateKey];
+    if (presetStates && presetStates.length > 0) {
+      // Some devices store effects as presets, those have no brightness
+      presetStates
+        .filter(state => 'brightness' in state)
+        .forEach((state, index) => {
+          this._presets[`Light preset ${index + 1}`] = new LightState({
+            brightness: state.brightness,
+            hue: state.hue ?? null,
+            saturation: state.saturation ?? null,
+            colorTemp: state.color_temp ?? null
+          });
+        });
+    } else if (this.data.brightness) {
+      this._brightnessOnly = true;
+      this.data.brightness.forEach((brightness, index) => {
+        this._presets[`Brightness preset ${index + 1}`] = new LightState({ brightness });
+      });
+    }
+    this._presetList = [LightPresetInterface.PRESET_NOT_SET, ...Object.keys(this._presets)];
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * Child lights report the presets in their device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    if (this._stateInSysinfo) {
+      return {};
+    }
+    return { [LightPreset.QUERY_GETTER_NAME]: { 'start_index': 0 } };
+  }
+
+  /**
+     * Return list of preset names.
+     * @returns {Array<string>} Preset names
+     */
+  get presetList() {
+    return this._presetList;
+  }
+
+  /**
+     * Return list of preset states.
+     * @returns {Array<LightState>} Preset states
+     */
+  get presetStatesList() {
+    return Object.values(this._presets);
+  }
+
+  /**
+     * Return current preset name.
+     * @returns {string} Preset name, or PRESET_NOT_SET if the state matches no preset
+     */
+  get preset() {
+    const effect = this._device.modules[Module.LightEffect];
+    if (effect && effect.isActive) {
+      return LightPresetInterface.PRESET_NOT_SET;
+    }
+
+    const light = this._device.modules[Module.Light];
+    const hasColorTemp = light.hasFeature('colorTemp');
+    const hasHsv = light.hasFeature('hsv');
+
+    const brightness = light.brightness;
+    const colorTemp = hasColorTemp ? light.colorTemp : null;
+    const hsv = hasHsv ? light.hsv : null;
+
+    for (const [name, preset] of Object.entries(this._presets)) {
+      if (
+        preset.brightness === brightness &&
+        (!hasColorTemp || preset.colorTemp === colorTemp) &&
+        preset.hue === (hsv ? hsv.hue : null) &&
+        preset.saturation === (hsv ? hsv.saturation : null)
+      ) {
+        return name;
+      }
+    }
+    return LightPresetInterface.PRESET_NOT_SET;
+  }
+
+  /**
+     * Set a light preset for the device.
+     *
+     * Setting PRESET_NOT_SET resets the light to full brightness.
+     * @param {string} presetName - Preset name
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the preset does not exist
+     */
+  async setPreset(presetName) {
+    const light = this._device.modules[Module.Light];
+    let preset;
+    if (presetName === LightPresetInterface.PRESET_NOT_SET) {
+      preset = light.hasFeature('hsv')
+        ? new LightState({ hue: 0, saturation: 0, brightness: 100 })
+        : new LightState({ brightness: 100 });
+    } else if (presetName in this._presets) {
+      preset = this._presets[presetName];
+    } else {
+      throw new KasaException(`${presetName} is not a valid preset: ${this.presetList}`);
+    }
+    return light.setState(preset);
+  }
+
+  /**
+     * Update the preset with presetName with the new presetState.
+     * @param {string} presetName - Preset name
+     * @param {LightState} presetState - New preset state
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the preset does not exist
+     */
+  async savePreset(presetName, presetState) {
+    if (!(presetName in this._presets)) {
+      throw new KasaException(`${presetName} is not a valid preset: ${this.presetList}`);
+    }
+
+    const index = Object.keys(this._presets).indexOf(presetName);
+    if (this._brightnessOnly) {
+      const brightnessList = this.presetStatesList.map(state => state.brightness);
+      brightnessList[index] = presetState.brightness;
+      return this.call('set_preset_rules', { 'brightness': brightnessList });
+    }
+
+    const state = {
+      brightness: presetState.brightness,
+      hue: presetState.hue,
+      saturation: presetState.saturation,
+      color_temp: presetState.colorTemp
+    };
+    return this.call('edit_preset_rules', {
+      'index': index,
+      'state': Object.fromEntries(Object.entries(state).filter(([, v]) => v !== null && v !== undefined))
+    });
+  }
+
+  /**
+     * Return true if the device supports updating presets.
+     * @returns {boolean} Supports saving presets
+     */
+  get hasSavePreset() {
+    return true;
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     *
+     * Parents reporting the components of their children have no brightness
+     * in their device info.
+     * @returns {Promise<boolean>} True if supported
+     * @protected
+     */
+  async _checkSupported() {
+    return 'brightness' in this._device.sysInfo;
+  }
+}
+
+for (const method of ['setPreset', 'savePreset']) {
+  decorate(LightPreset, method, allowUpdateAfter);
+}
+
+SmartModule.registerModule(LightPreset);
@@ -0,0 +1,193 @@
+/**
+ * Module for light strip light effects.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Module } from '../../module.js';
+import { EFFECT_MAPPING, EFFECT_NAMES, SmartLightEffect } from '../effects.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of dynamic light effects for light strips.
+ *
+ * The active effect is reported in the lighting_effect of the device info.
+ *
+ * @example
+ * const lightEffect = dev.modules[Module.LightEffect];
+ * console.log(lightEffect.effectList);
+ * // ['Off', 'Aurora', 'Bubbling Cauldron', ...]
+ * await lightEffect.setEffect('Aurora', { brightness: 50 });
+ */
+export class LightStripEffect extends SmartLightEffect {
+  static REQUIRED_COMPONENT = 'light_strip_lighting_effect';
+
+  /**
+     * Create a new LightStripEffect module.
+     * @param {SmartDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._effectMapping = EFFECT_MAPPING;
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The active effect is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return the active effect of the device.
+     * @returns {Object} Effect data as reported by the device
+     * @private
+     */
+  get _lightingEffect() {
+    return this.data.lighting_effect || {};
+  }
+
+  /**
+     * Return effect name.
+     *
+     * Custom effects without a name are reported as LIGHT_EFFECTS_UNNAMED_CUSTOM.
+     * @returns {string} Effect name
+     */
+  get effect() {
+    const effect = this._lightingEffect;
+    if (!effect.enable) {
+      return SmartLightEffect.LIGHT_EFFECTS_OFF;
+    }
+    if (effect.name in this._effectMapping) {
+      return effect.name;
+    }
+    if (effect.custom) {
+      return effect.name || SmartLightEffect.LIGHT_EFFECTS_UNNAMED_CUSTOM;
+    }
+    return SmartLightEffect.LIGHT_EFFECTS_OFF;
+  }
+
+  /**
+     * Return built-in effects list.
+     * @returns {Array<string>} Effect names
+     */
+  get effectList() {
+    return [SmartLightEffect.LIGHT_EFFECTS_OFF, ...EFFECT_NAMES];
+  }
+
+  /**
+     * Return whether the device supports custom effects.
+     * @returns {boolean} Supports custom effects
+     */
+  get hasCustomEffects() {
+    return true;
+  }
+
+  /**
+     * Return effect brightness.
+     * @returns {number} Brightness
+     */
+  get brightness() {
+    return this._lightingEffect.brightness;
+  }
+
+  /**
+     * Set effect brightness.
+     *
+     * A brightness of 0 turns the effect off.
+     * @param {number} brightness - Brightness
+     * @returns {Promise<Object>} Command result
+     */
+  async setBrightness(brightness) {
+    if (brightness <= 0) {
+      return this.setEffect(SmartLightEffect.LIGHT_EFFECTS_OFF);
+    }
+    return this.setCustomEffect({ 'brightness': brightness, 'bAdjusted': true });
+  }
+
+  /**
+     * Set an effect on the device.
+     *
+     * If brightness or transition is defined, its value will be used instead
+     * of the effect-specific default. The brightness of the light is used
+     * when no brightness is given.
+     * @param {string} effect - Name of the effect to set
+     * @param {Object} [options] - Options
+     * @param {number|null} [options.brightness=null] - Brightness
+     * @param {number|null} [options.transition=null] - Transition time in milliseconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the effect is not a built-in effect
+     */
+  async setEffect(effect, { brightness = null, transition = null } = {}) {
+    if (effect === SmartLightEffect.LIGHT_EFFECTS_OFF) {
+      // Disable the active effect by sending it back with enable off
+      const current = this._lightingEffect;
+      const name = current.name in this._effectMapping ? current.name : EFFECT_NAMES[0];
+      return this.setCustomEffect({ ...this._effectMapping[name], 'enable': 0 });
+    }
+
+    if (!(effect in this._effectMapping)) {
+      throw new KasaException(`The effect ${effect} is not a built in effect.`);
+    }
+
+    let effectDict = { ...this._effectMapping[effect] };
+    if (brightness === null) {
+      brightness = this._device.modules[Module.Brightness]?.brightness ?? null;
+    }
+    if (brightness !== null) {
+      effectDict = this._replaceBrightness(effectDict, brightness);
+    }
+    if (transition !== null) {
+      effectDict.transition = transition;
+    }
+
+    return this.setCustomEffect(effectDict);
+  }
+
+  /**
+     * Return a copy of the effect with its brightness scaled to the given value.
+     *
+     * The brightness of the sequence entries is scaled relative to the
+     * brightness of the effect.
+     * @param {Object} effectDict - Effect definition
+     * @param {number} brightness - New brightness
+     * @returns {Object} Effect definition
+     * @private
+     */
+  _replaceBrightness(effectDict, brightness) {
+    const data = { ...effectDict, 'brightness': brightness };
+    const current = effectDict.brightness || 100;
+    if (Array.isArray(effectDict.sequence)) {
+      data.sequence = effectDict.sequence.map(([hue, saturation, value, ...rest]) => [
+        hue,
+        saturation,
+        Math.min(100, Math.round(value * brightness / current)),
+        ...rest
+      ]);
+    }
+    return data;
+  }
+
+  /**
+     * Set a custom effect on the device.
+     * @param {Object} effectDict - The custom effect definition
+     * @returns {Promise<Object>} Command result
+     */
+  async setCustomEffect(effectDict) {
+    return this.call('set_lighting_effect', effectDict);
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     * @returns {Promise<boolean>} True if supported
+     * @protected
+     */
+  async _checkSupported() {
+    return 'lighting_effect' in this.data;
+  }
+}
+
+SmartModule.registerModule(LightStripEffect);
@@ -0,0 +1,263 @@
+/**
+ * Module for smooth light transitions.
+ */
+
+import { KasaException } from '../../exceptions.js';
+import { Feature } from '../../feature.js';
+import { SmartModule, allowUpdateAfter, decorate } from '../smartmodule.js';
+
+/**
+ * Implementation of gradual on/off.
+ *
+ * Version 1 of the component only allows enabling the transitions, later
+ * versions configure the duration of turning on and off separately.
+ * Child lights report the transition state in their device info.
+ *
+ * @example
+ * const transition = dev.modules[Module.LightTransition];
+ * await transition.setTurnOnTransition(5);
+ * await dev.update();
+ * console.log(transition.turnOnTransition);
+ * // 5
+ */
+export class LightTransition extends SmartModule {
+  static REQUIRED_COMPONENT = 'on_off_gradually';
+  static QUERY_GETTER_NAME = 'get_on_off_gradually_info';
+  static MINIMUM_UPDATE_INTERVAL_SECS = 60;
+  static MAXIMUM_DURATION = 60;
+
+  // Keys in the device info indicating that the state can be read from there
+  static SYS_INFO_STATE_KEYS = [
+    'gradually_on_mode',
+    'gradually_off_mode',
+    'fade_on_time',
+    'fade_off_time'
+  ];
+
+  /**
+     * Create a new LightTransition module.
+     * @param {SmartDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._stateInSysinfo = LightTransition.SYS_INFO_STATE_KEYS.every(key => key in device.sysInfo);
+    this._onState = { enable: false, duration: 0, maxDuration: LightTransition.MAXIMUM_DURATION };
+    this._offState = { enable: false, duration: 0, maxDuration: LightTransition.MAXIMUM_DURATION };
+  }
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    const icon = 'mdi:transition';
+    if (this.supportedVersion === 1) {
+      this._addFeature(new Feature({
+        device: this._device,
+        container: this,
+        id: 'smooth_transitions',
+        name: 'Smooth transitions',
+        icon: icon,
+        attributeGetter: 'enabled',
+        attributeSetter: 'setEnabled',
+        type: Feature.Type.Switch,
+        category: Feature.Category.Config,
+      }));
+      return;
+    }
+
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'smooth_transition_on',
+      name: 'Smooth transition on',
+      icon: icon,
+      attributeGetter: 'turnOnTransition',
+      attributeSetter: 'setTurnOnTransition',
+      rangeGetter: () => [0, this._onState.maxDuration],
+      unitGetter: () => 's',
+      type: Feature.Type.Number,
+      category: Feature.Category.Config,
+    }));
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'smooth_transition_off',
+      name: 'Smooth transition off',
+      icon: icon,
+      attributeGetter: 'turnOffTransition',
+      attributeSetter: 'setTurnOffTransition',
+      rangeGetter: () => [0, this._offState.maxDuration],
+      unitGetter: () => 's',
+      type: Feature.Type.Number,
+      category: Feature.Category.Config,
+    }));
+  }
+
+  /**
+     * Update the transition states after a device update.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    const maxDuration = LightTransition.MAXIMUM_DURATION;
+    if (this._stateInSysinfo) {
+      const sysInfo = this._device.sysInfo;
+      this._onState = {
+        enable: Boolean(sysInfo.gradually_on_mode),
+        duration: sysInfo.fade_on_time,
+        maxDuration: sysInfo.max_fade_on_time ?? maxDuration
+      };
+      this._offState = {
+        enable: Boolean(sysInfo.gradually_off_mode),
+        duration: sysInfo.fade_off_time,
+        maxDuration: sysInfo.max_fade_off_time ?? maxDuration
+      };
+    } else if (this.supportedVersion === 1) {
+      // Version 1 has a single setting for both directions
+      const state = { enable: Boolean(this.data.enable), duration: 0, maxDuration };
+      this._onState = state;
+      this._offState = { ...state };
+    } else {
+      const { on_state: onState, off_state: offState } = this.data;
+      this._onState = {
+        enable: Boolean(onState.enable),
+        duration: onState.duration,
+        maxDuration: onState.max_duration ?? maxDuration
+      };
+      this._offState = {
+        enable: Boolean(offState.enable),
+        duration: offState.duration,
+        maxDuration: offState.max_duration ?? maxDuration
+      };
+    }
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * Child lights report the transition state in their device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    if (this._stateInSysinfo) {
+      return {};
+    }
+    return { [LightTransition.QUERY_GETTER_NAME]: null };
+  }
+
+  /**
+     * Return true if gradual on/off is enabled.
+     * @returns {boolean} Enabled
+     */
+  get enabled() {
+    return this._onState.enable;
+  }
+
+  /**
+     * Enable or disable gradual on/off.
+     * @param {boolean} enable - Whether to enable the transitions
+     * @returns {Promise<Object>} Command result
+     */
+  async setEnabled(enable) {
+    if (this.supportedVersion === 1) {
+      return this.call('set_on_off_gradually_info', { 'enable': enable });
+    }
+
+    const on = await this.call('set_on_off_gradually_info', { 'on_state': { 'enable': enable } });
+    const off = await this.call('set_on_off_gradually_info', { 'off_state': { 'enable': enable } });
+    return { ...on, ...off };
+  }
+
+  /**
+     * Return the transition time for turning the light on in seconds.
+     * @returns {number} Seconds, 0 if disabled
+     */
+  get turnOnTransition() {
+    return this._onState.enable ? this._onState.duration : 0;
+  }
+
+  /**
+     * Return the maximum transition time for turning the light on in seconds.
+     * @returns {number} Seconds
+     */
+  get turnOnTransitionMax() {
+    return this._onState.maxDuration;
+  }
+
+  /**
+     * Set the transition time for turning the light on.
+     *
+     * A value of 0 disables the transition.
+     * @param {number} seconds - Transition time in seconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the value exceeds the maximum duration
+     */
+  async setTurnOnTransition(seconds) {
+    return this._setTransition('on_state', this._onState, seconds);
+  }
+
+  /**
+     * Return the transition time for turning the light off in seconds.
+     * @returns {number} Seconds, 0 if disabled
+     */
+  get turnOffTransition() {
+    return this._offState.enable ? this._offState.duration : 0;
+  }
+
+  /**
+     * Return the maximum transition time for turning the light off in seconds.
+     * @returns {number} Seconds
+     */
+  get turnOffTransitionMax() {
+    return this._offState.maxDuration;
+  }
+
+  /**
+     * Set the transition time for turning the light off.
+     *
+     * A value of 0 disables the transition.
+     * @param {number} seconds - Transition time in seconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the value exceeds the maximum duration
+     */
+  async setTurnOffTransition(seconds) {
+    return this._setTransition('off_state', this._offState, seconds);
+  }
+
+  /**
+     * Set the transition time for the given direction.
+     * @param {string} key - Request key, on_state or off_state
+     * @param {Object} state - Current state of the direction
+     * @param {number} seconds - Transition time in seconds
+     * @returns {Promise<Object>} Command result
+     * @throws {KasaException} If the value exceeds the maximum duration
+     * @private
+     */
+  async _setTransition(key, state, seconds) {
+    if (seconds > state.maxDuration) {
+      throw new KasaException(`Value ${seconds} out of range, max ${state.maxDuration}`);
+    }
+
+    if (seconds <= 0) {
+      return this.call('set_on_off_gradually_info', { [key]: { 'enable': false } });
+    }
+    return this.call('set_on_off_gradually_info', { [key]: { 'enable': true, 'duration': seconds } });
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     *
+     * Some devices report the component but fail the query.
+     * @returns {Promise<boolean>} True if supported
+     * @protected
+     */
+  async _checkSupported() {
+    return 'brightness' in this._device.sysInfo;
+  }
+}
+
+for (const method of ['setEnabled', 'setTurnOnTransition', 'setTurnOffTransition']) {
+  decorate(LightTransition, method, allowUpdateAfter);
+}
+
+SmartModule.registerModule(LightTransition);
@@ -0,0 +1,54 @@
+/**
+ * Implementation of motion sensor module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Implementation of motion sensor module.
+ *
+ * @example
+ * const sensor = child.modules[Module.MotionSensor];
+ * console.log(sensor.motionDetected);
+ * // true
+ */
+export class MotionSensor extends SmartModule {
+  static REQUIRED_COMPONENT = 'sensitivity';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'motion_detected',
+      name: 'Motion detected',
+      icon: 'mdi:motion-sensor',
+      attributeGetter: 'motionDetected',
+      type: Feature.Type.BinarySensor,
+      category: Feature.Category.Primary,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The motion state is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return true if the motion has been detected.
+     * @returns {boolean} Motion detected
+     */
+  get motionDetected() {
+    return this._device.sysInfo.detected;
+  }
+}
+
+SmartModule.registerModule(MotionSensor);
@@ -0,0 +1,114 @@
+/**
+ * Implementation of temperature sensor module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Units of the temperature reported by the device.
+ */
+export const TemperatureUnit = {
+  Celsius: 'celsius',
+  Fahrenheit: 'fahrenheit'
+};
+
+/**
+ * Implementation of temperature sensor module.
+ *
+ * The readings are part of the device info of the hub children.
+ *
+ * @example
+ * const sensor = child.modules[Module.TemperatureSensor];
+ * console.log(sensor.temperature, sensor.temperatureUnit);
+ * // 21.4 celsius
+ */
+export class TemperatureSensor extends SmartModule {
+  static REQUIRED_COMPONENT = 'temperature';
+  static QUERY_GETTER_NAME = 'get_comfort_temp_config';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'temperature',
+      name: 'Temperature',
+      icon: 'mdi:thermometer',
+      attributeGetter: 'temperature',
+      unitGetter: 'temperatureUnit',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Primary,
+    }));
+    if ('current_temp_exception' in this._device.sysInfo) {
+      this._addFeature(new Feature({
+        device: this._device,
+        container: this,
+        id: 'temperature_warning',
+        name: 'Temperature warning',
+        icon: 'mdi:alert',
+        attributeGetter: 'temperatureWarning',
+        type: Feature.Type.BinarySensor,
+        category: Feature.Category.Debug,
+      }));
+    }
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'temperature_unit',
+      name: 'Temperature unit',
+      attributeGetter: 'temperatureUnit',
+      attributeSetter: 'setTemperatureUnit',
+      choicesGetter: () => Object.values(TemperatureUnit),
+      type: Feature.Type.Choice,
+      category: Feature.Category.Config,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The temperature is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return current temperature.
+     * @returns {number} Temperature in the temperature unit
+     */
+  get temperature() {
+    return this._device.sysInfo.current_temp;
+  }
+
+  /**
+     * Return true if the temperature is outside the configured comfort range.
+     * @returns {boolean} Temperature warning
+     */
+  get temperatureWarning() {
+    return (this._device.sysInfo.current_temp_exception ?? 0) !== 0;
+  }
+
+  /**
+     * Return the unit of the temperature.
+     * @returns {string} Unit, see TemperatureUnit
+     */
+  get temperatureUnit() {
+    return this._device.sysInfo.temp_unit;
+  }
+
+  /**
+     * Set the unit of the temperature.
+     * @param {string} unit - Unit, see TemperatureUnit
+     * @returns {Promise<Object>} Command result
+     */
+  async setTemperatureUnit(unit) {
+    return this.call('set_device_info', { 'temp_unit': unit });
+  }
+}
+
+SmartModule.registerModule(TemperatureSensor);
@@ -0,0 +1,152 @@
+/**
+ * Implementation of time module.
+ */
+
+import { DeviceType } from '../../deviceType.js';
+import { Feature } from '../../feature.js';
+import { Time as TimeInterface } from '../../interfaces/time.js';
+import { getOffset } from '../../iot/iottimezone.js';
+import { SmartModule, SmartModuleMixin } from '../smartmodule.js';
+
+/**
+ * Implementation of device time module.
+ *
+ * The device reports a UTC timestamp together with its region and the
+ * current offset to UTC, which includes daylight saving time.
+ *
+ * @example
+ * const time = dev.modules[Module.Time];
+ * console.log(time.timezone);
+ * // Europe/Berlin
+ * console.log(time.time);
+ * // 2024-01-01T12:00:00.000Z
+ *
+ * // Sync the device clock and move it to another zone
+ * await time.setTime(new Date(), { timezone: 'America/New_York' });
+ */
+export class Time extends SmartModuleMixin(TimeInterface) {
+  static REQUIRED_COMPONENT = 'time';
+  static QUERY_GETTER_NAME = 'get_device_time';
+
+  /**
+     * Create a new Time module.
+     * @param {SmartDevice} device - The device instance
+     * @param {string} module - The module name
+     */
+  constructor(device, module) {
+    super(device, module);
+    this._timezone = 'UTC';
+  }
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'device_time',
+      name: 'Device time',
+      attributeGetter: 'time',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Debug,
+    }));
+  }
+
+  /**
+     * Update the timezone after a device update.
+     *
+     * Regions unknown to the runtime are replaced by a fixed offset zone.
+     * @returns {Promise<void>}
+     */
+  async _postUpdateHook() {
+    const region = this.data.region;
+    if (region && Time._isValidTimezone(region)) {
+      this._timezone = region;
+    } else {
+      this._timezone = Time._offsetTimezone(this.data.time_diff ?? 0);
+    }
+  }
+
+  /**
+     * Return true if the runtime knows the timezone.
+     * @param {string} timezone - IANA zone name
+     * @returns {boolean} Is valid
+     * @private
+     */
+  static _isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+     * Return a fixed offset zone for the offset to UTC.
+     *
+     * Only whole hours can be presented, UTC is used for other offsets.
+     * @param {number} timeDiff - Offset to UTC in minutes
+     * @returns {string} IANA zone name
+     * @private
+     */
+  static _offsetTimezone(timeDiff) {
+    if (timeDiff === 0 || timeDiff % 60 !== 0) {
+      return 'UTC';
+    }
+    // The sign of the Etc zones is inverted
+    const hours = -timeDiff / 60;
+    return `Etc/GMT${hours > 0 ? '+' : ''}${hours}`;
+  }
+
+  /**
+     * Return current device time.
+     * @returns {Date} Device time
+     */
+  get time() {
+    return new Date(this.data.timestamp * 1000);
+  }
+
+  /**
+     * Return current timezone.
+     * @returns {string} IANA zone name
+     */
+  get timezone() {
+    return this._timezone;
+  }
+
+  /**
+     * Set the device time, and optionally its timezone.
+     *
+     * The offset to UTC is calculated for the given date, so daylight saving
+     * time is applied by the device.
+     * @param {Date} dt - Date/time to set
+     * @param {Object} [options] - Options
+     * @param {string|null} [options.timezone=null] - IANA zone name to move the device to
+     * @returns {Promise<Object>} Command result
+     */
+  async setTime(dt, { timezone = null } = {}) {
+    const params = {
+      'timestamp': Math.floor(dt.getTime() / 1000),
+      'time_diff': getOffset(timezone ?? this.timezone, dt)
+    };
+    if (timezone !== null) {
+      params.region = timezone;
+    }
+    return this.call('set_device_time', params);
+  }
+
+  /**
+     * Return whether the module is supported by the device.
+     *
+     * Hub attached sensors report the component but do not return the time.
+     * @returns {Promise<boolean>} True if supported
+     * @protected
+     */
+  async _checkSupported() {
+    return !this._device._parent || this._device._parent.deviceType !== DeviceType.Hub;
+  }
+}
+
+SmartModule.registerModule(Time);
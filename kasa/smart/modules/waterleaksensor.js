@@ -0,0 +1,81 @@
+/**
+ * Implementation of water leak sensor module.
+ */
+
+import { Feature } from '../../feature.js';
+import { SmartModule } from '../smartmodule.js';
+
+/**
+ * Water leak status.
+ */
+export const WaterleakStatus = {
+  Normal: 'normal',
+  LeakDetected: 'water_leak',
+  Drying: 'water_dry'
+};
+
+/**
+ * Implementation of water leak sensor module.
+ *
+ * @example
+ * const sensor = child.modules[Module.WaterleakSensor];
+ * console.log(sensor.status, sensor.alert);
+ * // normal false
+ */
+export class WaterleakSensor extends SmartModule {
+  static REQUIRED_COMPONENT = 'sensor_alarm';
+
+  /**
+     * Initialize features.
+     */
+  _initializeFeatures() {
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'water_leak',
+      name: 'Water leak',
+      icon: 'mdi:water',
+      attributeGetter: 'status',
+      type: Feature.Type.Sensor,
+      category: Feature.Category.Debug,
+    }));
+    this._addFeature(new Feature({
+      device: this._device,
+      container: this,
+      id: 'water_alert',
+      name: 'Water alert',
+      icon: 'mdi:water-alert',
+      attributeGetter: 'alert',
+      type: Feature.Type.BinarySensor,
+      category: Feature.Category.Primary,
+    }));
+  }
+
+  /**
+     * Query to execute during the update cycle.
+     *
+     * The leak state is part of the device info.
+     * @returns {Object} Query object
+     */
+  query() {
+    return {};
+  }
+
+  /**
+     * Return current water leak status.
+     * @returns {string} Status, see WaterleakStatus
+     */
+  get status() {
+    return this._device.sysInfo.water_leak_status;
+  }
+
+  /**
+     * Return true if the alarm is active.
+     * @returns {boolean} Alert
+     */
+  get alert() {
+    return this._device.sysInfo.in_alarm;
+  }
+}
+
+SmartModule.registerModule(WaterleakSensor);
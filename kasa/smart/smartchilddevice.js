@@ -0,0 +1,141 @@
+/**
+ * Child device implementation.
+ */
+
+import { DeviceType } from '../deviceType.js';
+import { _ChildProtocolWrapper } from '../protocols/smartprotocol.js';
+import { SmartDevice } from './smartdevice.js';
+
+/**
+ * Presentation of a child device.
+ *
+ * The parent updates the device info of its children from its child device
+ * list, the children only query their own modules. Queries are sent through
+ * the parent wrapped in control_child requests.
+ *
+ * @example
+ * await hub.update();
+ * const [sensor] = hub.children;
+ * console.log(sensor.features.temperature.value);
+ * // 21.4
+ */
+export class SmartChildDevice extends SmartDevice {
+  static CHILD_DEVICE_TYPE_MAP = {
+    'plug.powerstrip.sub-plug': DeviceType.Plug,
+    'subg.trigger.contact-sensor': DeviceType.Sensor,
+    'subg.trigger.temp-hmdt-sensor': DeviceType.Sensor,
+    'subg.trigger.water-leak-sensor': DeviceType.Sensor,
+    'subg.trigger.motion-sensor': DeviceType.Sensor,
+    'kasa.switch.outlet.sub-fan': DeviceType.Fan,
+    'kasa.switch.outlet.sub-dimmer': DeviceType.Dimmer,
+    'subg.trv': DeviceType.Thermostat,
+    'subg.trigger.button': DeviceType.Sensor
+  };
+
+  /**
+     * Create a new SmartChildDevice instance.
+     * @param {SmartDevice} parent - The parent device
+     * @param {Object} info - Child info as reported in the child device list
+     * @param {Object} componentInfoRaw - Child components as reported by the parent
+     * @param {Object} [options] - Options
+     * @param {BaseProtocol} [options.protocol] - Protocol, defaults to wrapping the parent protocol
+     */
+  constructor(parent, info, componentInfoRaw, { protocol = null } = {}) {
+    super(parent.host, {
+      protocol: protocol ?? new _ChildProtocolWrapper(info.device_id, parent.protocol)
+    });
+    this._parent = parent;
+    this._id = info.device_id;
+    this._updateInternalState(info);
+    this._componentsRaw = componentInfoRaw;
+    this._components = SmartDevice._parseComponents(componentInfoRaw);
+  }
+
+  /**
+     * Create a child device and initialize its modules.
+     * @param {SmartDevice} parent - The parent device
+     * @param {Object} childInfo - Child info as reported in the child device list
+     * @param {Object} childComponentsRaw - Child components as reported by the parent
+     * @param {Object} [options] - Options
+     * @param {BaseProtocol} [options.protocol] - Protocol, defaults to wrapping the parent protocol
+     * @returns {Promise<SmartChildDevice>} Child device
+     * @static
+     */
+  static async create(parent, childInfo, childComponentsRaw, { protocol = null } = {}) {
+    const child = new SmartChildDevice(parent, childInfo, childComponentsRaw, { protocol });
+    await child._initializeModules();
+    return child;
+  }
+
+  /**
+     * Update the internal info state.
+     *
+     * The info is also kept as the device info response, so modules reading it
+     * do not need to query it from the child.
+     * @param {Object} info - Info object
+     * @private
+     */
+  _updateInternalState(info) {
+    super._updateInternalState(info);
+    this._lastUpdate.get_device_info = info;
+  }
+
+  /**
+     * Return the query sent with the module queries on each update.
+     *
+     * The device info is updated by the parent.
+     * @returns {Object} Query object
+     * @protected
+     */
+  _updateBaseQuery() {
+    return {};
+  }
+
+  /**
+     * Update the modules of the child.
+     *
+     * The parent updates the device info, so only the modules with their own
+     * queries are updated.
+     * @returns {Promise<void>}
+     * @private
+     */
+  async _update() {
+    const firstUpdate = this._lastUpdateTime === null;
+    const now = Date.now();
+    this._lastUpdateTime = now;
+
+    await this._modularUpdate(firstUpdate, now);
+
+    // We can first initialize the features after the first update.
+    if (Object.keys(this._features).length === 0) {
+      await this._initializeFeatures();
+    }
+  }
+
+  /**
+     * Update the child device.
+     * @returns {Promise<void>}
+     */
+  async update() {
+    await this._update();
+  }
+
+  /**
+     * Return the device type of the child.
+     * @returns {string} Device type
+     */
+  get deviceType() {
+    if (this._deviceType === DeviceType.Unknown && this._info.category) {
+      this._deviceType = SmartChildDevice.CHILD_DEVICE_TYPE_MAP[this._info.category] ?? DeviceType.Unknown;
+    }
+    return this._deviceType;
+  }
+
+  /**
+     * Return string representation of the device.
+     * @returns {string} String representation
+     */
+  toString() {
+    return `<${this.deviceType} ${this.alias} (${this.model}) of ${this._parent}>`;
+  }
+}
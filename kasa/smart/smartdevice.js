@@ -10,7 +10,8 @@ import { Feature } from '../feature.js';
 import { Module } from '../module.js';
 import { SmartProtocol } from '../protocols/smartprotocol.js';
 import { AesTransport } from '../transports/aestransport.js';
-// import { ChildDevice, Cloud, DeviceModule, Firmware, Light, Thermostat, Time } from './modules/index.js';
+// Importing the modules registers them with SmartModule.REGISTERED_MODULES
+import { Light } from './modules/index.js';
 import { SmartModule } from './smartmodule.js';
 
 const _LOGGER = console; // Simple logger replacement
@@ -201,7 +202,9 @@ export class SmartDevice extends Device {
      * @private
      */
   async _tryCreateChild(info, childComponents) {
-    return null;
+    // Imported lazily as the child device module depends on this one
+    const { SmartChildDevice } = await import('./smartchilddevice.js');
+    return SmartChildDevice.create(this, info, childComponents);
   }
 
   /**
@@ -338,22 +341,156 @@ export class SmartDevice extends Device {
      * @private
      */
   async _modularUpdate(firstUpdate, now) {
-    const queries = {
-      'get_device_info': null
-    };
-        
-    const resp = await this.protocol.query(queries);
+    const req = this._updateBaseQuery(firstUpdate);
+
+    // Keep track of the actual module queries so we can track the time for
+    // modules that do not need to be updated frequently
+    const moduleQueries = [];
+    for (const module of this._modules.values()) {
+      const query = module.query();
+      if (!module.isAvailable || !query || Object.keys(query).length === 0) {
+        continue;
+      }
+
+      if (firstUpdate && Object.keys(query).every(method => method in this._lastUpdate)) {
+        module._lastUpdateTime = now;
+        continue;
+      }
+
+      const interval = module.updateInterval * 1000;
+      if (!interval || module._lastUpdateTime === null || now - module._lastUpdateTime >= interval) {
+        moduleQueries.push(module);
+        Object.assign(req, query);
+      }
+    }
+
+    let resp = {};
+    if (Object.keys(req).length > 0) {
+      try {
+        resp = await this.protocol.query(req);
+      } catch (error) {
+        resp = await this._handleModularUpdateError(error, firstUpdate, req);
+      }
+    }
+
     Object.assign(this._lastUpdate, resp);
-    this._updateInternalInfo(resp);
-        
+    this._updateInternalInfo(this._lastUpdate);
+
+    for (const module of moduleQueries) {
+      const moduleResp = {};
+      let error = null;
+      for (const method of Object.keys(module.query())) {
+        const value = resp[method];
+        if (value instanceof SmartErrorCode) {
+          error = new DeviceError(`${method} for ${module.name}`, { errorCode: value });
+          break;
+        }
+        moduleResp[method] = value;
+      }
+
+      module._setError(error);
+      if (error === null) {
+        await module.update(moduleResp);
+      }
+      module._lastUpdateTime = now;
+    }
+
+    // Call the post update hooks for modules that want to update internal data
+    for (const module of this._modules.values()) {
+      if (!module.isAvailable || module._lastUpdateError) {
+        continue;
+      }
+      try {
+        await module._postUpdateHook();
+      } catch (error) {
+        module._setError(error);
+      }
+    }
+
     return resp;
   }
 
   /**
-     * Initialize device modules.
+     * Return the query sent with the module queries on each update.
+     *
+     * The device info is already part of the negotiation on the first update.
+     * @param {boolean} firstUpdate - Is this the first update
+     * @returns {Object} Query object
+     * @protected
+     */
+  _updateBaseQuery(firstUpdate) {
+    return firstUpdate ? {} : { 'get_device_info': null };
+  }
+
+  /**
+     * Handle a failed module update query.
+     *
+     * After the first update the methods are queried individually, so that
+     * only the modules with failing queries are marked as erroring.
+     * @param {Error} error - Error raised by the update query
+     * @param {boolean} firstUpdate - Is this the first update
+     * @param {Object} req - The failed request
+     * @returns {Promise<Object>} Responses keyed by method
+     * @throws {Error} The original error on the first update or authentication errors
+     * @private
+     */
+  async _handleModularUpdateError(error, firstUpdate, req) {
+    if (firstUpdate || error instanceof AuthenticationError) {
+      throw error;
+    }
+
+    const responses = {};
+    for (const [method, params] of Object.entries(req)) {
+      try {
+        const resp = await this.protocol.query({ [method]: params });
+        responses[method] = resp[method];
+      } catch (singleError) {
+        if (singleError instanceof AuthenticationError) {
+          throw singleError;
+        }
+        responses[method] = SmartErrorCode.fromInt(SmartErrorCode.INTERNAL_QUERY_ERROR);
+      }
+    }
+    return responses;
+  }
+
+  /**
+     * Initialize modules based on component negotiation response.
      * @protected
      */
   async _initializeModules() {
+    // Some wall switches (like ks240) are internally presented as having child
+    // devices which report the child's components on the parent's sysinfo, even
+    // when they need to be accessed through the children.
+    // The logic below ensures that such devices add all but whitelisted, only on
+    // the child device.
+    // It also ensures that devices like power strips do not add modules such as
+    // firmware to the child devices.
+    const skipParentOnlyModules = this._parent !== null &&
+      this._parent.deviceType !== DeviceType.Hub;
+
+    for (const modClass of Object.values(SmartModule.REGISTERED_MODULES)) {
+      if (skipParentOnlyModules && NON_HUB_PARENT_ONLY_MODULES.includes(modClass.name)) {
+        continue;
+      }
+      if (!modClass.isSupported(this)) {
+        continue;
+      }
+
+      const module = new modClass(this, modClass._moduleName());
+      if (await module._checkSupported()) {
+        this._modules.set(module.name, module);
+      }
+    }
+
+    // Add the light module if the device has a light
+    if (
+      this._modules.has(Module.Brightness) ||
+      this._modules.has(Module.Color) ||
+      this._modules.has(Module.ColorTemperature)
+    ) {
+      this._modules.set(Module.Light, new Light(this, 'light'));
+    }
   }
 
   /**
@@ -361,6 +498,12 @@ export class SmartDevice extends Device {
      * @protected
      */
   async _initializeFeatures() {
+    for (const module of this._modules.values()) {
+      module._initializeFeatures();
+      for (const feat of Object.values(module._moduleFeatures)) {
+        this._addFeature(feat);
+      }
+    }
   }
 
   /**
@@ -522,10 +665,13 @@ export class SmartDevice extends Device {
 
   /**
      * Return the time.
+     *
+     * Devices without a time module report the local time.
      * @returns {Date} Current device time
      */
   get time() {
-    return new Date();
+    const time = this._modules.get(Module.Time);
+    return time ? time.time : new Date();
   }
 
   /**
@@ -550,10 +696,13 @@ export class SmartDevice extends Device {
 
   /**
      * Return the timezone.
+     *
+     * Devices without a time module report the local timezone.
      * @returns {string} Timezone
      */
   get timezone() {
-    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const time = this._modules.get(Module.Time);
+    return time ? time.timezone : Intl.DateTimeFormat().resolvedOptions().timeZone;
   }
 
   /**
@@ -652,6 +801,23 @@ export class SmartDevice extends Device {
     return 'energy_monitoring' in this._components;
   }
 
+  /**
+     * Return the device type.
+     *
+     * The type is derived from the components and the reported device type
+     * unless it is already known from the discovery.
+     * @returns {string} Device type
+     */
+  get deviceType() {
+    if (this._deviceType === DeviceType.Unknown && this._info.type) {
+      this._deviceType = SmartDevice._getDeviceTypeFromComponents(
+        Object.keys(this._components),
+        this._info.type
+      );
+    }
+    return this._deviceType;
+  }
+
   /**
      * Return the system info.
      * @returns {Object} System info
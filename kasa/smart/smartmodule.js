@@ -2,6 +2,7 @@
  * Base implementation for SMART modules.
  */
 
+import { DeviceType } from '../deviceType.js';
 import { DeviceError, KasaException, SmartErrorCode } from '../exceptions.js';
 import { Module } from '../module.js';
 
@@ -60,164 +61,304 @@ export function raiseIfUpdateError(target, propertyKey, descriptor) {
 }
 
 /**
- * Base class for SMART modules.
+ * Apply a decorator to a method or getter of a class.
+ *
+ * Decorator syntax is not available, so modules apply the decorators
+ * to their prototype after the class definition.
+ * @param {Function} cls - Class owning the member
+ * @param {string} propertyKey - Name of the method or getter
+ * @param {Function} decorator - Decorator like allowUpdateAfter or raiseIfUpdateError
+ * @example
+ * decorate(Energy, 'currentConsumption', raiseIfUpdateError);
  */
-export class SmartModule extends Module {
-  // Static properties that can be overridden by subclasses
-  static NAME = '';
-  static REQUIRED_COMPONENT = null;
-  static SYSINFO_LOOKUP_KEYS = [];
-  static QUERY_GETTER_NAME = '';
-  static REGISTERED_MODULES = {};
-    
-  static MINIMUM_UPDATE_INTERVAL_SECS = 0;
-  static MINIMUM_HUB_CHILD_UPDATE_INTERVAL_SECS = 60 * 60 * 24;
-  static UPDATE_INTERVAL_AFTER_ERROR_SECS = 30;
-  static DISABLE_AFTER_ERROR_COUNT = 10;
+export function decorate(cls, propertyKey, decorator) {
+  const descriptor = Object.getOwnPropertyDescriptor(cls.prototype, propertyKey);
+  Object.defineProperty(
+    cls.prototype, propertyKey, decorator(cls.prototype, propertyKey, descriptor)
+  );
+}
 
-  /**
-     * Create a SmartModule instance.
-     * @param {SmartDevice} device - The device instance
-     * @param {string} module - Module name
-     */
-  constructor(device, module) {
-    super(device, module);
-    this._lastUpdateTime = null;
-    this._lastUpdateError = null;
-    this._errorCount = 0;
-    this._loggedRemoveKeys = [];
-  }
+/**
+ * Mix the SMART module implementation into a module base class.
+ *
+ * This allows SMART modules to implement the common interfaces like Energy or
+ * Light while sharing the SMART query handling.
+ * @param {Function} Base - Module class to extend
+ * @returns {Function} Class extending Base with the SMART module implementation
+ */
+export function SmartModuleMixin(Base) {
+  return class extends Base {
+    // Static properties that can be overridden by subclasses
+    static NAME = '';
+    static REQUIRED_COMPONENT = null;
+    static SYSINFO_LOOKUP_KEYS = [];
+    static QUERY_GETTER_NAME = '';
+    
+    static MINIMUM_UPDATE_INTERVAL_SECS = 0;
+    static MINIMUM_HUB_CHILD_UPDATE_INTERVAL_SECS = 60 * 60 * 24;
+    static UPDATE_INTERVAL_AFTER_ERROR_SECS = 30;
+    static DISABLE_AFTER_ERROR_COUNT = 10;
 
-  /**
-     * Register a module class.
-     * @param {Function} cls - Module class to register
-     * @static
-     */
-  static registerModule(cls) {
-    SmartModule.REGISTERED_MODULES[cls._moduleName()] = cls;
-  }
+    /**
+       * Create a SmartModule instance.
+       * @param {SmartDevice} device - The device instance
+       * @param {string} module - Module name
+       */
+    constructor(device, module) {
+      super(device, module);
+      this._lastUpdateTime = null;
+      this._lastUpdateError = null;
+      this._errorCount = 0;
+      this._loggedRemoveKeys = [];
+    }
 
-  /**
-     * Get the module name.
-     * @returns {string} Module name
-     * @static
-     */
-  static _moduleName() {
-    return this.NAME || this.name.toLowerCase();
-  }
+    /**
+       * Get the module name.
+       * @returns {string} Module name
+       * @static
+       */
+    static _moduleName() {
+      return this.NAME || this.name.toLowerCase();
+    }
 
-  /**
-     * Set error state for the module.
-     * @param {Error|null} err - Error or null to clear
-     * @private
-     */
-  _setError(err) {
-    if (err === null) {
-      this._errorCount = 0;
-      this._lastUpdateError = null;
-    } else {
-      this._lastUpdateError = new KasaException('Module update error', err);
-      this._errorCount++;
+    /**
+       * Set error state for the module.
+       * @param {Error|null} err - Error or null to clear
+       * @private
+       */
+    _setError(err) {
+      if (err === null) {
+        this._errorCount = 0;
+        this._lastUpdateError = null;
+      } else {
+        this._lastUpdateError = new KasaException('Module update error', err);
+        this._errorCount++;
             
+      }
     }
-  }
 
-  /**
-     * Return True if the module is available.
-     * @returns {boolean} Is available
-     */
-  get isAvailable() {
-    if (this._errorCount >= SmartModule.DISABLE_AFTER_ERROR_COUNT) {
-      return false;
+    /**
+       * Return the minimum interval between module updates in seconds.
+       *
+       * Modules that failed to update back off with every consecutive error.
+       * @returns {number} Update interval in seconds
+       */
+    get updateInterval() {
+      const cls = this.constructor;
+      if (this._lastUpdateError) {
+        return cls.UPDATE_INTERVAL_AFTER_ERROR_SECS * this._errorCount;
+      }
+
+      const parent = this._device._parent;
+      if (parent && parent.deviceType === DeviceType.Hub) {
+        return cls.MINIMUM_HUB_CHILD_UPDATE_INTERVAL_SECS;
+      }
+
+      return cls.MINIMUM_UPDATE_INTERVAL_SECS;
     }
-    return true;
-  }
 
-  /**
-     * Check if module is supported by the device.
-     * @param {SmartDevice} device - Device instance
-     * @returns {boolean} Is supported
-     */
-  static isSupported(device) {
-    const cls = this;
-        
-    // Check for required component
-    if (cls.REQUIRED_COMPONENT) {
-      if (!(cls.REQUIRED_COMPONENT in device._components)) {
+    /**
+       * Return True if the module is available.
+       * @returns {boolean} Is available
+       */
+    get isAvailable() {
+      if (this._errorCount >= this.constructor.DISABLE_AFTER_ERROR_COUNT) {
         return false;
       }
+      return true;
     }
 
-    // Check for sysinfo lookup keys
-    if (cls.SYSINFO_LOOKUP_KEYS && cls.SYSINFO_LOOKUP_KEYS.length > 0) {
-      const sysInfo = device.sysInfo;
-      return cls.SYSINFO_LOOKUP_KEYS.some(key => key in sysInfo);
+    /**
+       * Check if module is supported by the device.
+       * @param {SmartDevice} device - Device instance
+       * @returns {boolean} Is supported
+       */
+    static isSupported(device) {
+      const cls = this;
+        
+      // Check for required component
+      if (cls.REQUIRED_COMPONENT) {
+        if (!(cls.REQUIRED_COMPONENT in device._components)) {
+          return false;
+        }
+      }
+
+      // Check for sysinfo lookup keys
+      if (cls.SYSINFO_LOOKUP_KEYS && cls.SYSINFO_LOOKUP_KEYS.length > 0) {
+        const sysInfo = device.sysInfo;
+        return cls.SYSINFO_LOOKUP_KEYS.some(key => key in sysInfo);
+      }
+
+      return true;
     }
 
-    return true;
-  }
+    /**
+       * Additional supported check after the module has been created.
+       *
+       * Modules can override this to check the device responses before
+       * they get added to the device.
+       * @returns {Promise<boolean>} True if supported
+       * @protected
+       */
+    async _checkSupported() {
+      return true;
+    }
 
-  /**
-     * Execute module query.
-     * @param {string} req - Request name
-     * @param {Object|null} [args=null] - Request arguments
-     * @returns {Promise<Object>} Query result
-     */
-  async call(req, args = null) {
-    try {
-      const result = await this._device.protocol.query({ [req]: args });
+    /**
+       * Return the version of the required component supported by the device.
+       * @returns {number|undefined} Component version
+       */
+    get supportedVersion() {
+      return this._device._components[this.constructor.REQUIRED_COMPONENT];
+    }
+
+    /**
+       * Execute module query.
+       * @param {string} req - Request name
+       * @param {Object|null} [args=null] - Request arguments
+       * @returns {Promise<Object>} Query result
+       */
+    async call(req, args = null) {
+      try {
+        const result = await this._device.protocol.query({ [req]: args });
             
-      if (result[req] instanceof SmartErrorCode) {
-        const err = new DeviceError(
-          `Error ${result[req]} calling ${req}`,
-          result[req]
-        );
-        this._setError(err);
-        throw err;
-      }
+        if (result[req] instanceof SmartErrorCode) {
+          const err = new DeviceError(
+            `Error ${result[req]} calling ${req}`,
+            result[req]
+          );
+          this._setError(err);
+          throw err;
+        }
             
-      this._setError(null);
-      return result[req];
-    } catch (error) {
-      this._setError(error);
-      throw error;
+        this._setError(null);
+        return result[req];
+      } catch (error) {
+        this._setError(error);
+        throw error;
+      }
     }
-  }
 
-  /**
-     * Query to execute during the main update cycle.
-     * @returns {Object|null} Query object or null
-     */
-  query() {
-    if (this.constructor.QUERY_GETTER_NAME) {
-      return { [this.constructor.QUERY_GETTER_NAME]: null };
+    /**
+       * Query to execute during the main update cycle.
+       * @returns {Object|null} Query object or null
+       */
+    query() {
+      if (this.constructor.QUERY_GETTER_NAME) {
+        return { [this.constructor.QUERY_GETTER_NAME]: null };
+      }
+      return null;
     }
-    return null;
-  }
 
-  /**
-     * Process module update.
-     * @param {Object} data - Update data
-     * @returns {Promise<void>}
-     */
-  async update(data) {
-    // Default implementation - can be overridden by subclasses
-    this._lastUpdateTime = Date.now();
-  }
+    /**
+       * Return the module specific raw data from the last update.
+       *
+       * If the module queries a single method, its response is returned as is,
+       * otherwise the responses are keyed by the method name.
+       * @returns {Object} Module data
+       * @throws {KasaException} If the device has not been updated yet
+       * @throws {DeviceError} If the device returned an error for the module query
+       */
+    get data() {
+      let dev = this._device;
+      const q = this.query();
 
-  /**
-     * Return the estimated query response size.
-     * @returns {number} Estimated size
-     */
-  get estimatedQueryResponseSize() {
-    return 512; // Default estimate
-  }
+      if (!q || Object.keys(q).length === 0) {
+        return dev.sysInfo;
+      }
+
+      const queryKeys = Object.keys(q);
+      if (!(queryKeys[0] in dev._lastUpdate)) {
+        // Children fall back to the response of their parent
+        if (dev._parent && queryKeys[0] in dev._parent._lastUpdate) {
+          dev = dev._parent;
+        } else {
+          throw new KasaException(
+            `You need to call update() prior accessing module data for '${this._module}'`
+          );
+        }
+      }
+
+      const filteredData = {};
+      for (const key of queryKeys) {
+        if (!(key in dev._lastUpdate)) {
+          continue;
+        }
+        const value = dev._lastUpdate[key];
+        if (value instanceof SmartErrorCode) {
+          throw new DeviceError(`${key} for ${this.name}`, { errorCode: value });
+        }
+        filteredData[key] = value;
+      }
+
+      const values = Object.values(filteredData);
+      if (values.length === 1) {
+        return values[0];
+      }
+      return filteredData;
+    }
+
+    /**
+       * Return true if the device returned an error for the module query.
+       * @returns {boolean} Has data error
+       * @protected
+       */
+    _hasDataError() {
+      try {
+        // Accessing the data throws for error responses
+        this.data;
+        return false;
+      } catch (error) {
+        if (error instanceof DeviceError) {
+          return true;
+        }
+        throw error;
+      }
+    }
+
+    /**
+       * Process module update.
+       * @param {Object} data - Update data
+       * @returns {Promise<void>}
+       */
+    async update(data) {
+      // Default implementation - can be overridden by subclasses
+      this._lastUpdateTime = Date.now();
+    }
+
+    /**
+       * Return the estimated query response size.
+       * @returns {number} Estimated size
+       */
+    get estimatedQueryResponseSize() {
+      return 512; // Default estimate
+    }
+
+    /**
+       * Return the name of the module.
+       * @returns {string} Module name
+       */
+    get name() {
+      return this.constructor.NAME || this.constructor.name;
+    }
+  };
+}
+
+/**
+ * Base class for SMART modules.
+ *
+ * Modules register themselves with registerModule, the devices create the
+ * registered modules supported by their components.
+ */
+export class SmartModule extends SmartModuleMixin(Module) {
+  static REGISTERED_MODULES = {};
 
   /**
-     * Return the name of the module.
-     * @returns {string} Module name
+     * Register a module class.
+     * @param {Function} cls - Module class to register
+     * @static
      */
-  get name() {
-    return this.constructor.NAME || this.constructor.name;
+  static registerModule(cls) {
+    SmartModule.REGISTERED_MODULES[cls._moduleName()] = cls;
   }
-}
\ No newline at end of file
+}
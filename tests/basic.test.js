@@ -124,4 +124,1395 @@ describe('Transports', () => {
     expect(transports.AesTransport).toBeDefined();
     expect(transports.KlapTransport).toBeDefined();
   });
-});
\ No newline at end of file
+});
+/**
+ * Create a protocol answering IoT queries from canned responses.
+ * Targets without a canned response answer like a device without the module.
+ * @param {Object} responses - Responses per target and command
+ * @returns {Object} Protocol stub recording the queries
+ */
+function createIotProtocol(responses) {
+  const queries = [];
+  return {
+    queries,
+    query: async (request) => {
+      queries.push(request);
+      const response = {};
+      for (const [target, cmds] of Object.entries(request)) {
+        if (target === 'context') continue;
+        if (!(target in responses)) {
+          response[target] = { err_code: -1, err_msg: 'module not support' };
+          continue;
+        }
+        response[target] = {};
+        for (const cmd of Object.keys(cmds)) {
+          response[target][cmd] = responses[target][cmd] ?? { err_code: 0 };
+        }
+      }
+      return response;
+    },
+    close: async () => {}
+  };
+}
+
+const PLUG_SYSINFO = {
+  alias: 'Plug',
+  model: 'HS110(EU)',
+  sw_ver: '1.2.5 Build 171213 Rel.101523',
+  hw_ver: '1.0',
+  mac: '50:C7:BF:00:00:00',
+  type: 'IOT.SMARTPLUGSWITCH',
+  feature: 'TIM',
+  relay_state: 1,
+  led_off: 0,
+  on_time: 10
+};
+
+describe('IoT Modules', () => {
+  test('should expose schedule rules', async () => {
+    const { IotPlug } = await import('../kasa/iot/iotplug.js');
+    const { Module } = await import('../kasa/module.js');
+    const { Action, Rule, TimeOption } = await import('../kasa/iot/modules/index.js');
+    const protocol = createIotProtocol({
+      system: { get_sysinfo: PLUG_SYSINFO },
+      schedule: {
+        get_rules: {
+          enable: 1,
+          rule_list: [{
+            id: 'ABCD', name: 'Evening', enable: 1, wday: [0, 1, 1, 1, 1, 1, 0], repeat: 1,
+            sact: 1, stime_opt: 2, smin: 1080, soffset: -15, eact: -1, etime_opt: -1, emin: 0
+          }]
+        },
+        get_next_action: { type: -1 }
+      }
+    });
+    const plug = new IotPlug('127.0.0.1', { protocol });
+    await plug.update();
+
+    const schedule = plug.modules.get(Module.IotSchedule);
+    expect(schedule.enabled).toBe(true);
+    expect(schedule.rules).toHaveLength(1);
+    const [rule] = schedule.rules;
+    expect(rule).toBeInstanceOf(Rule);
+    expect(rule.sact).toBe(Action.TurnOn);
+    expect(rule.stimeOpt).toBe(TimeOption.AtSunset);
+    expect(rule.soffset).toBe(-15);
+
+    await schedule.deleteRule(rule);
+    expect(protocol.queries.at(-1)).toEqual({ schedule: { delete_rule: { id: 'ABCD' } } });
+  });
+
+  test('should report runtime usage', async () => {
+    const { IotPlug } = await import('../kasa/iot/iotplug.js');
+    const { Module } = await import('../kasa/module.js');
+    const now = new Date();
+    const protocol = createIotProtocol({
+      system: { get_sysinfo: PLUG_SYSINFO },
+      schedule: {
+        get_daystat: { day_list: [{ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate(), time: 42 }] },
+        get_monthstat: { month_list: [{ year: now.getFullYear(), month: now.getMonth() + 1, time: 420 }] }
+      }
+    });
+    const plug = new IotPlug('127.0.0.1', { protocol });
+    await plug.update();
+
+    const usage = plug.modules.get(Module.IotUsage);
+    expect(usage.usageToday).toBe(42);
+    expect(usage.usageThisMonth).toBe(420);
+    expect(plug.features.usage_today.value).toBe(42);
+    expect(await usage.getDaystat()).toEqual({ [now.getDate()]: 42 });
+  });
+
+  test('should report and change the cloud binding', async () => {
+    const { IotPlug } = await import('../kasa/iot/iotplug.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({
+      system: { get_sysinfo: PLUG_SYSINFO },
+      cnCloud: {
+        get_info: { binded: 1, cld_connection: 1, server: 'n-devs.tplinkcloud.com', username: 'user@example.com' }
+      }
+    });
+    const plug = new IotPlug('127.0.0.1', { protocol });
+    await plug.update();
+
+    const cloud = plug.modules.get(Module.IotCloud);
+    expect(plug.features.cloud_connection.value).toBe(true);
+    expect(plug.features.cloud_server.value).toBe('n-devs.tplinkcloud.com');
+
+    await cloud.unbind();
+    expect(protocol.queries.at(-1)).toEqual({ cnCloud: { unbind: {} } });
+  });
+
+  test('should expose the emeter through the energy interface', async () => {
+    const { IotPlug } = await import('../kasa/iot/iotplug.js');
+    const { Module } = await import('../kasa/module.js');
+    const { Energy } = await import('../kasa/interfaces/energy.js');
+    const now = new Date();
+    const protocol = createIotProtocol({
+      system: { get_sysinfo: { ...PLUG_SYSINFO, feature: 'TIM:ENE' } },
+      emeter: {
+        get_realtime: { power: 10.5, voltage: 230.1, current: 0.05, total: 1.2 },
+        get_daystat: { day_list: [{ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate(), energy: 0.3 }] },
+        get_monthstat: { month_list: [{ year: now.getFullYear(), month: now.getMonth() + 1, energy: 2.5 }] }
+      }
+    });
+    const plug = new IotPlug('127.0.0.1', { protocol });
+    await plug.update();
+
+    const energy = plug.modules.get(Module.Energy);
+    expect(energy.supports(Energy.ModuleFeature.CONSUMPTION_TOTAL)).toBe(true);
+    expect(energy.status.power).toBe(10.5);
+    expect(plug.features.consumption_total.value).toBe(1.2);
+    expect(plug.features.consumption_today.value).toBe(0.3);
+    expect(energy.consumptionThisMonth).toBe(2.5);
+    expect(await energy.getMonthlyStats({ kwh: false })).toEqual({ [now.getMonth() + 1]: 2500 });
+
+    // The getters of the emeter module before the energy interface keep working
+    expect(energy.realtimeData.power).toBe(10.5);
+    expect(energy.totalConsumption).toBe(1.2);
+    expect(energy.dailyStats[0].energy).toBe(0.3);
+    expect(energy.monthlyStats[0].energy).toBe(2.5);
+
+    await energy.eraseStats();
+    expect(protocol.queries.at(-1)).toEqual({ emeter: { erase_emeter_stat: {} } });
+  });
+
+  test('should toggle the status led', async () => {
+    const { IotPlug } = await import('../kasa/iot/iotplug.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({ system: { get_sysinfo: PLUG_SYSINFO } });
+    const plug = new IotPlug('127.0.0.1', { protocol });
+    await plug.update();
+
+    expect(plug.modules.get(Module.Led).led).toBe(true);
+    expect(plug.features.led.value).toBe(true);
+
+    await plug.features.led.setValue(false);
+    expect(protocol.queries.at(-1)).toEqual({ system: { set_led_off: { off: 1 } } });
+  });
+
+  test('should report and set the device time in its timezone', async () => {
+    const { IotPlug } = await import('../kasa/iot/iotplug.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({
+      system: { get_sysinfo: PLUG_SYSINFO },
+      time: {
+        get_time: { year: 2024, month: 1, mday: 15, hour: 13, min: 30, sec: 0 },
+        get_timezone: { index: 40 }
+      }
+    });
+    const plug = new IotPlug('127.0.0.1', { protocol });
+    await plug.update();
+
+    expect(plug.timezone).toBe('Europe/Amsterdam');
+    expect(plug.time.toISOString()).toBe('2024-01-15T12:30:00.000Z');
+
+    const time = plug.modules.get(Module.Time);
+    await time.setTime(new Date('2024-07-01T10:00:00Z'));
+    expect(protocol.queries.at(-1)).toEqual({
+      time: { set_time: { year: 2024, month: 7, mday: 1, hour: 12, min: 0, sec: 0 } }
+    });
+
+    await time.setTime(new Date('2024-07-01T10:00:00Z'), { timezone: 'Europe/Belgrade' });
+    expect(protocol.queries.at(-1)).toEqual({
+      time: { set_timezone: { year: 2024, month: 7, mday: 1, hour: 12, min: 0, sec: 0, index: 41 } }
+    });
+  });
+
+  test('should fall back to local time when the time module is not supported', async () => {
+    const { IotPlug } = await import('../kasa/iot/iotplug.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({ system: { get_sysinfo: PLUG_SYSINFO } });
+    const plug = new IotPlug('127.0.0.1', { protocol });
+    await plug.update();
+
+    expect(plug.modules.get(Module.Time)).toBeUndefined();
+    expect(plug.time).toBeInstanceOf(Date);
+    expect(plug.timezone).toBe('UTC');
+  });
+
+  test('should expose away mode as features', async () => {
+    const { IotPlug } = await import('../kasa/iot/iotplug.js');
+    const protocol = createIotProtocol({
+      system: { get_sysinfo: PLUG_SYSINFO },
+      anti_theft: {
+        get_rules: {
+          enable: 0,
+          rule_list: [{
+            id: 'AWAY', name: 'Vacation', enable: 1, wday: [1, 1, 1, 1, 1, 1, 1], repeat: 1,
+            stime_opt: 0, smin: 1080, etime_opt: 1, emin: 1380, eoffset: 30, frequency: 5
+          }]
+        }
+      }
+    });
+    const plug = new IotPlug('127.0.0.1', { protocol });
+    await plug.update();
+
+    expect(plug.features.away_mode.value).toBe(false);
+    expect(plug.features.away_mode_start.value).toBe('18:00');
+    // The end is relative to sunrise, the minute of the day is ignored
+    expect(plug.features.away_mode_end.value).toBe('sunrise+30');
+    expect(plug.features.away_mode_frequency.value).toBe(5);
+
+    await plug.features.away_mode.setValue(true);
+    expect(protocol.queries.at(-1)).toEqual({ anti_theft: { set_overall_enable: { enable: 1 } } });
+
+    await plug.features.away_mode_start.setValue('sunset-15');
+    expect(protocol.queries.at(-1).anti_theft.edit_rule).toMatchObject({
+      id: 'AWAY', stime_opt: 2, smin: 1080, soffset: -15, etime_opt: 1, eoffset: 30
+    });
+
+    await plug.features.away_mode_end.setValue('06:30');
+    expect(protocol.queries.at(-1).anti_theft.edit_rule).toMatchObject({
+      id: 'AWAY', stime_opt: 0, smin: 1080, etime_opt: 0, emin: 390, eoffset: 0
+    });
+
+    await expect(plug.features.away_mode_end.setValue('25:00')).rejects.toThrow('Invalid time: 25:00');
+  });
+});
+
+describe('IoT Light Module', () => {
+  test('should expose the bulb light state through the light module', async () => {
+    const { IotBulb } = await import('../kasa/iot/iotbulb.js');
+    const { Module } = await import('../kasa/module.js');
+    const { LightState } = await import('../kasa/interfaces/light.js');
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: {
+          ...PLUG_SYSINFO,
+          model: 'KL130(EU)',
+          type: 'IOT.SMARTBULB',
+          is_color: 1,
+          is_dimmable: 1,
+          is_variable_color_temp: 1,
+          light_state: { on_off: 1, brightness: 80, hue: 120, saturation: 50, color_temp: 0 }
+        }
+      }
+    });
+    const bulb = new IotBulb('127.0.0.1', { protocol });
+    await bulb.update();
+
+    const light = bulb.modules.get(Module.Light);
+    expect(light.state).toEqual(new LightState({ lightOn: true, brightness: 80, hue: 120, saturation: 50, colorTemp: 0 }));
+    expect(light.hasFeature('hsv')).toBe(true);
+    expect(light.hsv.toString()).toBe('HSV(hue=120, saturation=50, value=80)');
+    expect(bulb.features.color_temp.minimumValue).toBe(2500);
+    expect(bulb.modules.get(Module.Energy)).toBeUndefined();
+    expect(protocol.queries.at(-1)).not.toHaveProperty(['smartlife.iot.common.emeter']);
+
+    await light.setState(new LightState({ brightness: 30, transition: 1000 }));
+    expect(protocol.queries.at(-1)).toEqual({
+      'smartlife.iot.smartbulb.lightingservice': {
+        transition_light_state: { brightness: 30, transition_period: 1000 }
+      }
+    });
+  });
+
+  test('should list, apply and save bulb light presets', async () => {
+    const { IotBulb } = await import('../kasa/iot/iotbulb.js');
+    const { Module } = await import('../kasa/module.js');
+    const { LightState } = await import('../kasa/interfaces/light.js');
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: {
+          ...PLUG_SYSINFO,
+          model: 'KL130(EU)',
+          type: 'IOT.SMARTBULB',
+          is_color: 1,
+          is_dimmable: 1,
+          is_variable_color_temp: 1,
+          light_state: { on_off: 1, brightness: 50, hue: 0, saturation: 0, color_temp: 2700 },
+          preferred_state: [
+            { index: 0, brightness: 50, hue: 0, saturation: 0, color_temp: 2700 },
+            { index: 1, brightness: 100, hue: 240, saturation: 100, color_temp: 0 }
+          ]
+        }
+      }
+    });
+    const bulb = new IotBulb('127.0.0.1', { protocol });
+    await bulb.update();
+
+    const presets = bulb.modules.get(Module.LightPreset);
+    expect(presets.presetList).toEqual(['Not set', 'Light preset 1', 'Light preset 2']);
+    expect(presets.presetStatesList[1].hue).toBe(240);
+    expect(bulb.features.light_preset.value).toBe('Light preset 1');
+
+    await bulb.features.light_preset.setValue('Light preset 2');
+    expect(protocol.queries.at(-1)).toEqual({
+      'smartlife.iot.smartbulb.lightingservice': {
+        transition_light_state: { brightness: 100, hue: 240, saturation: 100, color_temp: 0 }
+      }
+    });
+
+    await presets.savePreset(1, new LightState({ brightness: 10, colorTemp: 3000 }));
+    expect(protocol.queries.at(-1)).toEqual({
+      'smartlife.iot.smartbulb.lightingservice': {
+        set_preferred_state: { index: 1, brightness: 10, color_temp: 3000 }
+      }
+    });
+    await expect(presets.setPreset('Light preset 3')).rejects.toThrow('is not a valid preset');
+  });
+
+  test('should expose and validate bulb turn on behaviors', async () => {
+    const { IotBulb } = await import('../kasa/iot/iotbulb.js');
+    const { Module } = await import('../kasa/module.js');
+    const { BehaviorMode, TurnOnBehavior } = await import('../kasa/iot/modules/turnonbehavior.js');
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: {
+          ...PLUG_SYSINFO,
+          model: 'KL120(US)',
+          type: 'IOT.SMARTBULB',
+          is_color: 0,
+          is_dimmable: 1,
+          is_variable_color_temp: 1,
+          light_state: { on_off: 1, brightness: 40, hue: 0, saturation: 0, color_temp: 3000 },
+          preferred_state: [{ index: 0, brightness: 100, hue: 0, saturation: 0, color_temp: 2700 }]
+        }
+      },
+      'smartlife.iot.smartbulb.lightingservice': {
+        get_default_behavior: {
+          soft_on: { mode: 'last_status' },
+          hard_on: { mode: 'customize_preset', index: 0 }
+        }
+      }
+    });
+    const bulb = new IotBulb('127.0.0.1', { protocol });
+    await bulb.update();
+
+    expect(bulb.features.turn_on_behavior_soft.value).toBe('Last state');
+    expect(bulb.features.turn_on_behavior_hard.value).toBe('Light preset 1');
+    expect(bulb.features.turn_on_behavior_soft.choices).toEqual(['Last state', 'Light preset 1', 'Custom']);
+
+    await bulb.features.turn_on_behavior_soft.setValue('Custom');
+    expect(protocol.queries.at(-1)).toEqual({
+      'smartlife.iot.smartbulb.lightingservice': {
+        set_default_behavior: {
+          soft_on: { mode: 'customize_preset', brightness: 40, color_temp: 3000 },
+          hard_on: { mode: 'customize_preset', index: 0 }
+        }
+      }
+    });
+
+    const behavior = bulb.modules.get(Module.IotTurnOnBehavior);
+    await expect(behavior.setHardOn(new TurnOnBehavior(BehaviorMode.Preset, { colorTemp: 6500 })))
+      .rejects.toThrow('Color temperature must be between 2700 and 5000');
+    await expect(behavior.setHardOn(new TurnOnBehavior(BehaviorMode.Preset, { hue: 120, saturation: 50 })))
+      .rejects.toThrow('does not support color');
+  });
+
+  test('should keep bulb light modules when responses carry a zero error code', async () => {
+    const { IotBulb } = await import('../kasa/iot/iotbulb.js');
+    const { Module } = await import('../kasa/module.js');
+    const sysInfo = {
+      ...PLUG_SYSINFO,
+      err_code: 0,
+      model: 'KL130(EU)',
+      type: 'IOT.SMARTBULB',
+      is_color: 1,
+      is_dimmable: 1,
+      is_variable_color_temp: 1,
+      light_state: { on_off: 1, brightness: 40, hue: 0, saturation: 0, color_temp: 3000 },
+      preferred_state: [{ index: 0, brightness: 100, hue: 0, saturation: 0, color_temp: 2700 }]
+    };
+    const protocol = createIotProtocol({
+      system: { get_sysinfo: sysInfo },
+      'smartlife.iot.smartbulb.lightingservice': {
+        get_default_behavior: { err_code: 0, soft_on: { mode: 'last_status' }, hard_on: { mode: 'last_status' } }
+      }
+    });
+    const bulb = new IotBulb('127.0.0.1', { protocol });
+    await bulb.update();
+
+    expect(bulb.modules.get(Module.Light)).toBeDefined();
+    expect(bulb.modules.get(Module.LightPreset)).toBeDefined();
+    expect(bulb.modules.get(Module.IotTurnOnBehavior).softOnName).toBe('Last state');
+
+    const unsupported = createIotProtocol({
+      system: { get_sysinfo: sysInfo },
+      'smartlife.iot.smartbulb.lightingservice': {
+        get_default_behavior: { err_code: -1, err_msg: 'module not support' }
+      }
+    });
+    const legacy = new IotBulb('127.0.0.1', { protocol: unsupported });
+    await legacy.update();
+
+    expect(legacy.modules.get(Module.IotTurnOnBehavior)).toBeUndefined();
+    expect(legacy.modules.get(Module.Light)).toBeDefined();
+    expect(legacy.modules.get(Module.LightPreset)).toBeDefined();
+  });
+
+  test('should report and start light strip effects', async () => {
+    const { IotLightStrip } = await import('../kasa/iot/iotlightstrip.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: {
+          ...PLUG_SYSINFO,
+          model: 'KL430(US)',
+          type: 'IOT.SMARTBULB',
+          is_color: 1,
+          is_dimmable: 1,
+          is_variable_color_temp: 1,
+          length: 16,
+          light_state: { on_off: 1, brightness: 100, hue: 0, saturation: 0, color_temp: 2700 },
+          lighting_effect_state: { brightness: 100, custom: 0, enable: 1, id: 'bCTItKETDFfrKANolgldxfgOakaarARs', name: 'Flicker' }
+        }
+      }
+    });
+    const strip = new IotLightStrip('127.0.0.1', { protocol });
+    await strip.update();
+
+    const lightEffect = strip.modules.get(Module.LightEffect);
+    expect(strip.features.light_effect.value).toBe('Flicker');
+    expect(lightEffect.effectList[0]).toBe('Off');
+    expect(lightEffect.effectList).toContain('Aurora');
+
+    await lightEffect.setEffect('Aurora', { brightness: 50 });
+    const request = protocol.queries.at(-1)['smartlife.iot.lighting_effect'].set_lighting_effect;
+    expect(request.name).toBe('Aurora');
+    expect(request.brightness).toBe(50);
+
+    await strip.features.light_effect.setValue('Off');
+    expect(protocol.queries.at(-1)['smartlife.iot.lighting_effect'].set_lighting_effect)
+      .toMatchObject({ name: 'Flicker', enable: 0 });
+    await expect(lightEffect.setEffect('Disco')).rejects.toThrow('not a built in effect');
+  });
+
+  test('should expose dimmer brightness through the light module', async () => {
+    const { IotDimmer } = await import('../kasa/iot/iotdimmer.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({
+      system: { get_sysinfo: { ...PLUG_SYSINFO, model: 'HS220(US)', brightness: 40 } }
+    });
+    const dimmer = new IotDimmer('127.0.0.1', { protocol });
+    await dimmer.update();
+
+    const light = dimmer.modules.get(Module.Light);
+    expect(light.state.brightness).toBe(40);
+    expect(dimmer.features.brightness.value).toBe(40);
+    expect(light.hasFeature('hsv')).toBe(false);
+    expect(() => light.hsv).toThrow('Light does not support color.');
+  });
+});
+
+describe('IoT Dimmer Modules', () => {
+  test('should expose motion and ambient light sensors', async () => {
+    const { IotDimmer } = await import('../kasa/iot/iotdimmer.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: { ...PLUG_SYSINFO, model: 'KS220M(US)', dev_name: 'Smart Light Switch with PIR', brightness: 50 }
+      },
+      'smartlife.iot.PIR': {
+        get_config: { enable: 1, trigger_index: 1, cold_time: 60000 }
+      },
+      'smartlife.iot.LAS': {
+        get_config: { devs: [{ enable: 1, level_array: [{ name: 'cloudy', adc: 490, value: 20 }] }] },
+        get_current_brt: { value: 42 }
+      }
+    });
+    const dimmer = new IotDimmer('127.0.0.1', { protocol });
+    await dimmer.update();
+
+    expect(dimmer.features.pir_enabled.value).toBe(true);
+    expect(dimmer.features.pir_range.value).toBe('Medium');
+    expect(dimmer.features.pir_range.choices).not.toContain('Custom');
+    expect(dimmer.features.pir_off_timer.value).toBe(60000);
+    expect(dimmer.features.ambient_light.value).toBe(42);
+    expect(dimmer.modules.get(Module.IotAmbientLight).presets[0].value).toBe(20);
+    expect(dimmer.features.ambient_light_threshold.value).toBe(20);
+
+    await dimmer.features.pir_range.setValue('Near');
+    expect(protocol.queries.at(-1)).toEqual({ 'smartlife.iot.PIR': { set_trigger_sens: { index: 2 } } });
+
+    await dimmer.features.ambient_light_threshold.setValue(30);
+    expect(protocol.queries.at(-1)).toEqual({ 'smartlife.iot.LAS': { set_brt_level: { index: 0, value: 30 } } });
+  });
+
+  test('should expose fade settings and button actions', async () => {
+    const { IotDimmer } = await import('../kasa/iot/iotdimmer.js');
+    const { Module } = await import('../kasa/module.js');
+    const { ActionType, ButtonAction, FadeType } = await import('../kasa/iot/modules/dimmer.js');
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: { ...PLUG_SYSINFO, model: 'HS220(US)', dev_name: 'Smart Wi-Fi Dimmer', brightness: 50 }
+      },
+      'smartlife.iot.dimmer': {
+        get_dimmer_parameters: {
+          minThreshold: 11, fadeOnTime: 1000, fadeOffTime: 2000,
+          gentleOnTime: 3000, gentleOffTime: 10000, rampRate: 30, bulb_type: 1
+        },
+        get_default_behavior: {
+          double_click: { mode: 'gentle_on_off' },
+          long_press: { mode: 'instant_on_off' }
+        }
+      }
+    });
+    const dimmer = new IotDimmer('127.0.0.1', { protocol });
+    await dimmer.update();
+
+    expect(dimmer.features.dimmer_threshold_min.value).toBe(11);
+    expect(dimmer.features.dimmer_fade_on_time.value).toBe(1000);
+    expect(dimmer.features.dimmer_fade_off_time.value).toBe(2000);
+    expect(dimmer.features.dimmer_gentle_on_time.value).toBe(3000);
+    expect(dimmer.features.dimmer_gentle_off_time.value).toBe(10000);
+    expect(dimmer.features.dimmer_ramp_rate.value).toBe(30);
+    expect(dimmer.features.dimmer_double_click_action.value).toBe(ButtonAction.Gentle);
+    expect(dimmer.features.dimmer_long_press_action.value).toBe(ButtonAction.Instant);
+    expect(dimmer.features.dimmer_double_click_action.choices).not.toContain(ButtonAction.Preset);
+
+    await dimmer.features.dimmer_threshold_min.setValue(5);
+    expect(protocol.queries.at(-1)).toEqual({ 'smartlife.iot.dimmer': { calibrate_brightness: { minThreshold: 5 } } });
+
+    await dimmer.features.dimmer_fade_off_time.setValue(500);
+    expect(protocol.queries.at(-1)).toEqual({ 'smartlife.iot.dimmer': { set_fade_off_time: { fadeTime: 500 } } });
+
+    await dimmer.features.dimmer_gentle_on_time.setValue(5000);
+    expect(protocol.queries.at(-1)).toEqual({ 'smartlife.iot.dimmer': { set_gentle_on_time: { duration: 5000 } } });
+
+    await dimmer.features.dimmer_long_press_action.setValue(ButtonAction.NoAction);
+    expect(protocol.queries.at(-1)).toEqual({ 'smartlife.iot.dimmer': { set_long_press_action: { mode: 'none' } } });
+
+    // The device methods delegate to the dimmer module
+    expect((await dimmer.getBehaviors()).double_click.mode).toBe('gentle_on_off');
+    await dimmer.setButtonAction(ActionType.DoubleClick, ButtonAction.Preset, 1);
+    expect(protocol.queries.at(-1)).toEqual({
+      'smartlife.iot.dimmer': { set_double_click_action: { mode: 'customize_preset', index: 1 } }
+    });
+    await dimmer.setFadeTime(FadeType.FadeOn, 700);
+    expect(protocol.queries.at(-1)).toEqual({ 'smartlife.iot.dimmer': { set_fade_on_time: { fadeTime: 700 } } });
+
+    const module = dimmer.modules.get(Module.IotDimmer);
+    await expect(module.setRampRate(60)).rejects.toThrow('outside the bounds');
+    await expect(module.setDoubleClickAction(ButtonAction.Preset)).rejects.toThrow('preset index');
+  });
+});
+
+describe('IoT Strip Modules', () => {
+  test('should report energy per socket', async () => {
+    const { IotStrip } = await import('../kasa/iot/iotstrip.js');
+    const { Module } = await import('../kasa/module.js');
+    const { Energy } = await import('../kasa/interfaces/energy.js');
+    const now = new Date();
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: {
+          ...PLUG_SYSINFO,
+          model: 'HS300(US)',
+          feature: 'TIM:ENE',
+          children: [{ id: '01', alias: 'Socket 1', state: 1, on_time: 5 }]
+        }
+      },
+      emeter: {
+        get_realtime: { power_mw: 12500, voltage_mv: 120100, current_ma: 104, total_wh: 3300 },
+        get_daystat: { day_list: [{ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate(), energy_wh: 250 }] },
+        get_monthstat: { month_list: [{ year: now.getFullYear(), month: now.getMonth() + 1, energy_wh: 4000 }] }
+      }
+    });
+    const strip = new IotStrip('127.0.0.1', { protocol });
+    await strip.update();
+
+    const [socket] = strip.children;
+    const energy = socket.modules.get(Module.Energy);
+    expect(energy).toBeInstanceOf(Energy);
+    expect(energy.supports(Energy.ModuleFeature.VOLTAGE_CURRENT)).toBe(true);
+    expect(socket.features.current_consumption.value).toBe(12.5);
+    expect(socket.features.voltage.value).toBe(120.1);
+    expect(energy.consumptionToday).toBe(0.25);
+    expect(energy.consumptionThisMonth).toBe(4);
+
+    expect(await energy.getDailyStats({ kwh: false })).toEqual({ [now.getDate()]: 250 });
+    expect(protocol.queries.at(-1)).toEqual({
+      context: { child_ids: ['01'] },
+      emeter: { get_daystat: { year: now.getFullYear(), month: now.getMonth() + 1 } }
+    });
+
+    // The strip sums up the readings of its sockets
+    expect(strip.modules.get(Module.Energy).currentConsumption).toBe(12.5);
+    expect(strip.features.consumption_this_month.value).toBe(4);
+  });
+
+  test('should initialize the sockets on a first update without children', async () => {
+    const { IotStrip } = await import('../kasa/iot/iotstrip.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: {
+          ...PLUG_SYSINFO,
+          model: 'HS300(US)',
+          feature: 'TIM:ENE',
+          children: [{ id: '01', alias: 'Socket 1', state: 1, on_time: 5 }]
+        }
+      },
+      emeter: { get_realtime: { power_mw: 12500, voltage_mv: 120100, current_ma: 104, total_wh: 3300 } }
+    });
+    const strip = new IotStrip('127.0.0.1', { protocol });
+    await strip.update(false);
+
+    const [socket] = strip.children;
+    expect(socket.modules.get(Module.Energy).currentConsumption).toBe(12.5);
+    expect(strip.modules.get(Module.Energy).currentConsumption).toBe(12.5);
+    await strip.update(false);
+    expect(strip.modules.get(Module.Energy).currentConsumption).toBe(12.5);
+  });
+
+  test('should scope countdown queries to the child socket', async () => {
+    const { IotStrip } = await import('../kasa/iot/iotstrip.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = createIotProtocol({
+      system: {
+        get_sysinfo: {
+          ...PLUG_SYSINFO,
+          model: 'HS300(US)',
+          children: [{ id: '01', alias: 'Socket 1', state: 1, on_time: 5 }]
+        }
+      },
+      count_down: {
+        get_rules: { rule_list: [{ id: 'XYZ', name: 'off', enable: 1, delay: 600, act: 0, remain: 598 }] }
+      }
+    });
+    const strip = new IotStrip('127.0.0.1', { protocol });
+    await strip.update();
+
+    const [socket] = strip.children;
+    const countdown = socket.modules.get(Module.IotCountdown);
+    expect(countdown.rules[0].remain).toBe(598);
+    expect(countdown.rules[0].act).toBe(false);
+    expect(countdown.nextAction.id).toBe('XYZ');
+    expect(protocol.queries.at(-1)).toEqual({
+      context: { child_ids: ['01'] },
+      count_down: { get_rules: {} },
+      time: { get_time: {}, get_timezone: {} }
+    });
+  });
+});
+
+/**
+ * Create a protocol answering SMART queries from canned responses.
+ * Methods without a canned response answer with an unknown method error.
+ * @param {Object} responses - Responses per method
+ * @returns {Promise<Object>} Protocol stub recording the queries
+ */
+async function createSmartProtocol(responses) {
+  const { Credentials } = await import('../kasa/credentials.js');
+  const { SmartErrorCode } = await import('../kasa/exceptions.js');
+  const queries = [];
+  return {
+    queries,
+    _transport: { _credentials: new Credentials('user', 'pass'), _config: {} },
+    query: async (request) => {
+      queries.push(request);
+      const response = {};
+      for (const method of Object.keys(request)) {
+        response[method] = method in responses
+          ? responses[method]
+          : SmartErrorCode.fromInt(SmartErrorCode.UNKNOWN_METHOD_ERROR);
+      }
+      return response;
+    },
+    close: async () => {}
+  };
+}
+
+/**
+ * Build a component_nego response for the given components.
+ * @param {Object} components - Component versions keyed by component id
+ * @returns {Object} Component response
+ */
+function smartComponents(components) {
+  return {
+    component_list: Object.entries(components).map(([id, ver]) => ({ id, ver_code: ver }))
+  };
+}
+
+const SMART_DEVICE_INFO = {
+  device_id: '8022ABCDEF',
+  model: 'P110',
+  type: 'SMART.TAPOPLUG',
+  fw_ver: '1.3.0 Build 230905 Rel.152200',
+  hw_ver: '1.0',
+  mac: '5C-E9-31-00-00-00',
+  nickname: Buffer.from('Smart Plug').toString('base64'),
+  ssid: Buffer.from('home-wifi').toString('base64'),
+  rssi: -45,
+  signal_level: 3,
+  overheat_status: 'normal',
+  device_on: true,
+  on_time: 120
+};
+
+describe('Smart Modules', () => {
+  test('should initialize modules from the negotiated components', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2 }),
+      get_device_info: SMART_DEVICE_INFO,
+      get_connect_cloud_state: { status: 0 }
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const deviceModule = device.modules[Module.DeviceModule];
+    expect(deviceModule).toBeDefined();
+    expect(deviceModule.supportedVersion).toBe(2);
+    expect(device.features.device_id.value).toBe('8022ABCDEF');
+    expect(device.features.rssi.value).toBe(-45);
+    expect(device.features.rssi.unit).toBe('dBm');
+    expect(device.features.signal_level.value).toBe(3);
+    expect(device.features.ssid.value).toBe('home-wifi');
+    expect(device.features.overheated.value).toBe(false);
+  });
+
+  test('should throttle module queries and flag failing modules', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { SmartModule, allowUpdateAfter, decorate, raiseIfUpdateError } = await import('../kasa/smart/smartmodule.js');
+
+    class ThrottledModule extends SmartModule {
+      static REQUIRED_COMPONENT = 'throttled';
+      static QUERY_GETTER_NAME = 'get_throttled_info';
+      static MINIMUM_UPDATE_INTERVAL_SECS = 60;
+
+      get value() {
+        return this.data.value;
+      }
+
+      async setValue(value) {
+        return this.call('set_throttled_info', { value });
+      }
+    }
+    decorate(ThrottledModule, 'value', raiseIfUpdateError);
+    decorate(ThrottledModule, 'setValue', allowUpdateAfter);
+    SmartModule.registerModule(ThrottledModule);
+    try {
+      const responses = {
+        component_nego: smartComponents({ device: 2, throttled: 1 }),
+        get_device_info: SMART_DEVICE_INFO,
+        get_connect_cloud_state: { status: 0 },
+        get_throttled_info: { value: 1 },
+        set_throttled_info: {}
+      };
+      const protocol = await createSmartProtocol(responses);
+      const device = new SmartDevice('127.0.0.1', { protocol });
+      await device.update();
+      const module = device.modules.ThrottledModule;
+      expect(module.value).toBe(1);
+      expect(protocol.queries.at(-1)).toEqual({ get_throttled_info: null });
+
+      // Within the update interval only the device info is refreshed
+      await device.update();
+      expect(protocol.queries.at(-1)).toEqual({ get_device_info: null });
+
+      // Changing a value forces the module to update on the next cycle
+      await module.setValue(2);
+      responses.get_throttled_info = { value: 2 };
+      await device.update();
+      expect(protocol.queries.at(-1)).toEqual({ get_device_info: null, get_throttled_info: null });
+      expect(module.value).toBe(2);
+
+      delete responses.get_throttled_info;
+      await module.setValue(3);
+      await device.update();
+      expect(module.isAvailable).toBe(true);
+      expect(module.updateInterval).toBe(ThrottledModule.UPDATE_INTERVAL_AFTER_ERROR_SECS);
+      expect(() => module.value).toThrow('Module update error');
+    } finally {
+      // Keep the test module out of the other SMART devices of the suite
+      delete SmartModule.REGISTERED_MODULES[ThrottledModule._moduleName()];
+    }
+  });
+});
+
+describe('Smart Energy Module', () => {
+  test('should report energy readings of a tapo plug', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const { Energy } = await import('../kasa/interfaces/energy.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, energy_monitoring: 2 }),
+      get_device_info: SMART_DEVICE_INFO,
+      get_connect_cloud_state: { status: 0 },
+      get_energy_usage: { today_energy: 250, month_energy: 4000, current_power: 12500 },
+      get_current_power: { current_power: 12 },
+      get_emeter_data: { power_mw: 12500, voltage_mv: 230100, current_ma: 54 },
+      get_energy_data: { interval: 1440, data: [100, 200, 300] }
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const energy = device.modules[Module.Energy];
+    expect(energy).toBeInstanceOf(Energy);
+    expect(energy.supports(Energy.ModuleFeature.VOLTAGE_CURRENT)).toBe(true);
+    expect(energy.supports(Energy.ModuleFeature.PERIODIC_STATS)).toBe(true);
+    expect(energy.supports(Energy.ModuleFeature.CONSUMPTION_TOTAL)).toBe(false);
+    expect(device.features.current_consumption.value).toBe(12.5);
+    expect(device.features.consumption_today.value).toBe(0.25);
+    expect(device.features.consumption_this_month.value).toBe(4);
+    expect(device.features.voltage.value).toBe(230.1);
+    expect(device.features.current.value).toBe(0.054);
+    expect(device.features.consumption_total).toBeUndefined();
+
+    expect(await energy.getDailyStats({ year: 2024, month: 2, kwh: false })).toEqual({ 1: 100, 2: 200, 3: 300 });
+    expect(protocol.queries.at(-1)).toEqual({
+      get_energy_data: {
+        start_timestamp: new Date(2024, 1, 1).getTime() / 1000,
+        end_timestamp: new Date(2024, 1, 29).getTime() / 1000,
+        interval: 1440
+      }
+    });
+    await expect(energy.eraseStats()).rejects.toThrow('does not support');
+  });
+
+  test('should only query the energy usage on older firmware', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const { Energy } = await import('../kasa/interfaces/energy.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, energy_monitoring: 1 }),
+      get_device_info: SMART_DEVICE_INFO,
+      get_connect_cloud_state: { status: 0 },
+      get_energy_usage: { today_energy: 250, month_energy: 4000, current_power: 8000 }
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const energy = device.modules[Module.Energy];
+    expect(protocol.queries.at(-1)).toEqual({ get_energy_usage: null });
+    expect(energy.supports(Energy.ModuleFeature.VOLTAGE_CURRENT)).toBe(false);
+    expect(energy.currentConsumption).toBe(8);
+    expect(energy.voltage).toBeNull();
+    expect(device.features.voltage).toBeUndefined();
+  });
+});
+
+describe('Smart Light Modules', () => {
+  const BULB_DEVICE_INFO = {
+    ...SMART_DEVICE_INFO,
+    model: 'L530',
+    type: 'SMART.TAPOBULB',
+    brightness: 80,
+    hue: 120,
+    saturation: 50,
+    color_temp: 0,
+    color_temp_range: [2500, 6500]
+  };
+
+  test('should expose brightness, color and color temperature of a bulb', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const { LightState } = await import('../kasa/interfaces/light.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, brightness: 1, color: 1, color_temperature: 1 }),
+      get_device_info: BULB_DEVICE_INFO,
+      get_connect_cloud_state: { status: 0 },
+      set_device_info: {}
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const light = device.modules[Module.Light];
+    expect(light.hasFeature('hsv')).toBe(true);
+    expect(light.hasFeature('colorTemp')).toBe(true);
+    expect(light.brightness).toBe(80);
+    expect(light.hsv.toString()).toBe('HSV(hue=120, saturation=50, value=80)');
+    expect(light.state).toEqual(new LightState({ lightOn: true, brightness: 80, hue: 120, saturation: 50, colorTemp: 0 }));
+    expect(device.features.color_temp.minimumValue).toBe(2500);
+    expect(device.features.color_temp.maximumValue).toBe(6500);
+
+    await device.features.brightness.setValue(30);
+    expect(protocol.queries.at(-1)).toEqual({ set_device_info: { brightness: 30 } });
+
+    await light.setHsv(240, 100);
+    expect(protocol.queries.at(-1)).toEqual({ set_device_info: { color_temp: 0, hue: 240, saturation: 100 } });
+
+    await light.setState(new LightState({ brightness: 0 }));
+    expect(protocol.queries.at(-1)).toEqual({ set_device_info: { device_on: false } });
+
+    await expect(light.setColorTemp(9000)).rejects.toThrow('Temperature should be between 2500 and 6500');
+  });
+
+  test('should skip color temperature when the range is disabled', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, brightness: 1, color_temperature: 1 }),
+      get_device_info: { ...BULB_DEVICE_INFO, model: 'L510', color_temp_range: [0, 0] },
+      get_connect_cloud_state: { status: 0 }
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const light = device.modules[Module.Light];
+    expect(device.modules[Module.ColorTemperature]).toBeUndefined();
+    expect(light.hasFeature('brightness')).toBe(true);
+    expect(() => light.colorTemp).toThrow('does not support colortemp');
+  });
+});
+
+describe('Smart Light Effect Modules', () => {
+  test('should list and set light strip effects', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, brightness: 1, light_strip_lighting_effect: 1 }),
+      get_device_info: {
+        ...SMART_DEVICE_INFO,
+        model: 'L900',
+        type: 'SMART.TAPOBULB',
+        brightness: 80,
+        lighting_effect: { enable: 1, name: 'Aurora', brightness: 40, custom: 0, id: 'TapoStrip_1MClvV18i15Jq3bvJVf0eP' }
+      },
+      get_connect_cloud_state: { status: 0 },
+      set_lighting_effect: {}
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const lightEffect = device.modules[Module.LightEffect];
+    expect(lightEffect.effect).toBe('Aurora');
+    expect(lightEffect.effectList[0]).toBe('Off');
+    expect(lightEffect.effectList).toContain('Valentines');
+    expect(device.features.light_effect.choices).toEqual(lightEffect.effectList);
+
+    // The brightness follows the active effect
+    expect(device.features.brightness.value).toBe(40);
+    await device.features.brightness.setValue(60);
+    expect(protocol.queries.at(-1)).toEqual({ set_lighting_effect: { brightness: 60, bAdjusted: true } });
+
+    await lightEffect.setEffect('Ocean', { brightness: 50, transition: 1000 });
+    const effect = protocol.queries.at(-1).set_lighting_effect;
+    expect(effect.name).toBe('Ocean');
+    expect(effect.id).toBe('TapoStrip_0fOleCdwSgR0nfjkReeYfw');
+    expect(effect.brightness).toBe(50);
+    expect(effect.transition).toBe(1000);
+    expect(effect.sequence.every(([, , value]) => value === 50)).toBe(true);
+
+    await device.features.light_effect.setValue('Off');
+    expect(protocol.queries.at(-1).set_lighting_effect).toMatchObject({ name: 'Aurora', enable: 0 });
+
+    await expect(lightEffect.setEffect('Disco')).rejects.toThrow('The effect Disco is not a built in effect.');
+  });
+
+  test('should set bulb effects with their brightness', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, brightness: 1, light_effect: 1 }),
+      get_device_info: {
+        ...SMART_DEVICE_INFO,
+        model: 'L530',
+        type: 'SMART.TAPOBULB',
+        brightness: 80,
+        dynamic_light_effect_enable: false
+      },
+      get_connect_cloud_state: { status: 0 },
+      get_dynamic_light_effect_rules: {
+        enable: false,
+        current_rule_id: 'L1',
+        rule_list: [
+          { id: 'L1', scene_name: '', brightness: 100, color_status_list: [[100, 0, 0, 2700], [100, 321, 99, 0]] },
+          { id: 'L2', scene_name: '', brightness: 50, color_status_list: [[50, 210, 10, 0]] }
+        ]
+      },
+      edit_dynamic_light_effect_rule: {},
+      set_dynamic_light_effect_rule_enable: {}
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const lightEffect = device.modules[Module.LightEffect];
+    expect(lightEffect.effectList).toEqual(['Off', 'Party', 'Relax']);
+    expect(lightEffect.effect).toBe('Off');
+    expect(lightEffect.hasCustomEffects).toBe(false);
+    expect(device.features.brightness.value).toBe(80);
+
+    await lightEffect.setEffect('Relax', { brightness: 30 });
+    expect(protocol.queries.at(-2)).toEqual({
+      edit_dynamic_light_effect_rule: { id: 'L2', scene_name: '', brightness: 50, color_status_list: [[30, 210, 10, 0]] }
+    });
+    expect(protocol.queries.at(-1)).toEqual({ set_dynamic_light_effect_rule_enable: { enable: true, id: 'L2' } });
+
+    // Without a brightness the effect keeps its own
+    await lightEffect.setEffect('Relax');
+    expect(protocol.queries.at(-2).edit_dynamic_light_effect_rule.color_status_list).toEqual([[50, 210, 10, 0]]);
+
+    await expect(lightEffect.setCustomEffect({})).rejects.toThrow('does not support setting custom effects');
+  });
+});
+
+describe('Smart Light Preset and Transition Modules', () => {
+  test('should list, apply and save light presets', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const { LightState } = await import('../kasa/interfaces/light.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, brightness: 1, color: 1, color_temperature: 1, preset: 1 }),
+      get_device_info: {
+        ...SMART_DEVICE_INFO,
+        model: 'L530',
+        type: 'SMART.TAPOBULB',
+        brightness: 50,
+        hue: 0,
+        saturation: 100,
+        color_temp: 0,
+        color_temp_range: [2500, 6500]
+      },
+      get_connect_cloud_state: { status: 0 },
+      get_preset_rules: {
+        states: [
+          { brightness: 50, hue: 0, saturation: 100, color_temp: 0 },
+          { brightness: 100, hue: 0, saturation: 0, color_temp: 2700 }
+        ]
+      },
+      set_device_info: {},
+      edit_preset_rules: {}
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const presets = device.modules[Module.LightPreset];
+    expect(presets.presetList).toEqual(['Not set', 'Light preset 1', 'Light preset 2']);
+    expect(device.features.light_preset.value).toBe('Light preset 1');
+
+    await device.features.light_preset.setValue('Light preset 2');
+    expect(protocol.queries.at(-1)).toEqual({
+      set_device_info: { brightness: 100, hue: 0, saturation: 0, color_temp: 2700 }
+    });
+
+    await device.update();
+    expect(protocol.queries.at(-1)).toHaveProperty('get_preset_rules');
+
+    await device.update();
+    expect(protocol.queries.at(-1)).not.toHaveProperty('get_preset_rules');
+
+    await presets.savePreset('Light preset 2', new LightState({ brightness: 20, colorTemp: 3000 }));
+    expect(protocol.queries.at(-1)).toEqual({
+      edit_preset_rules: { index: 1, state: { brightness: 20, color_temp: 3000 } }
+    });
+
+    // Changing a throttled module queries it again on the next update
+    await device.update();
+    expect(protocol.queries.at(-1)).toHaveProperty('get_preset_rules');
+
+    await expect(presets.setPreset('Light preset 3')).rejects.toThrow('is not a valid preset');
+  });
+
+  test('should configure the transitions per component version', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const deviceInfo = { ...SMART_DEVICE_INFO, model: 'L510', type: 'SMART.TAPOBULB', brightness: 50 };
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, brightness: 1, on_off_gradually: 2 }),
+      get_device_info: deviceInfo,
+      get_connect_cloud_state: { status: 0 },
+      get_on_off_gradually_info: {
+        on_state: { enable: true, duration: 3, max_duration: 30 },
+        off_state: { enable: false, duration: 5, max_duration: 60 }
+      },
+      set_on_off_gradually_info: {}
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    expect(device.features.smooth_transition_on.value).toBe(3);
+    expect(device.features.smooth_transition_on.maximumValue).toBe(30);
+    expect(device.features.smooth_transition_off.value).toBe(0);
+    expect(device.features.smooth_transitions).toBeUndefined();
+
+    await device.features.smooth_transition_off.setValue(10);
+    expect(protocol.queries.at(-1)).toEqual({ set_on_off_gradually_info: { off_state: { enable: true, duration: 10 } } });
+
+    await expect(device.modules[Module.LightTransition].setTurnOnTransition(45)).rejects.toThrow('out of range, max 30');
+
+    const v1Protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, brightness: 1, on_off_gradually: 1 }),
+      get_device_info: deviceInfo,
+      get_connect_cloud_state: { status: 0 },
+      get_on_off_gradually_info: { enable: true },
+      set_on_off_gradually_info: {}
+    });
+    const v1Device = new SmartDevice('127.0.0.1', { protocol: v1Protocol });
+    await v1Device.update();
+
+    expect(v1Device.features.smooth_transitions.value).toBe(true);
+    expect(v1Device.features.smooth_transition_on).toBeUndefined();
+    await v1Device.features.smooth_transitions.setValue(false);
+    expect(v1Protocol.queries.at(-1)).toEqual({ set_on_off_gradually_info: { enable: false } });
+  });
+});
+
+describe('Smart AutoOff Module', () => {
+  test('should configure auto off and report when the device turns off', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const responses = {
+      component_nego: smartComponents({ device: 2, auto_off: 1 }),
+      get_device_info: { ...SMART_DEVICE_INFO, auto_off_status: 'off', auto_off_remain_time: 0 },
+      get_connect_cloud_state: { status: 0 },
+      get_auto_off_config: { enable: false, delay_min: 120 },
+      set_auto_off_config: {}
+    };
+    const protocol = await createSmartProtocol(responses);
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const autoOff = device.modules[Module.AutoOff];
+    expect(device.features.auto_off_enabled.value).toBe(false);
+    expect(device.features.auto_off_minutes.value).toBe(120);
+    expect(device.features.auto_off_at.value).toBeNull();
+
+    await device.features.auto_off_enabled.setValue(true);
+    expect(protocol.queries.at(-1)).toEqual({ set_auto_off_config: { enable: true, delay_min: 120 } });
+    await autoOff.setDelay(30);
+    expect(protocol.queries.at(-1)).toEqual({ set_auto_off_config: { delay_min: 30, enable: false } });
+
+    responses.get_device_info = { ...responses.get_device_info, auto_off_status: 'on', auto_off_remain_time: 600 };
+    await device.update();
+    expect(autoOff.isTimerActive).toBe(true);
+    const remaining = autoOff.autoOffAt.getTime() - Date.now();
+    expect(remaining).toBeGreaterThan(590 * 1000);
+    expect(remaining).toBeLessThanOrEqual(600 * 1000);
+  });
+});
+
+describe('Smart Firmware Module', () => {
+  test('should check for updates and report the upgrade progress', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const { DownloadStatus } = await import('../kasa/smart/modules/firmware.js');
+    const downloadStates = [
+      { status: DownloadStatus.Downloading, download_progress: 40, reboot_time: 5, upgrade_time: 0, auto_upgrade: false },
+      { status: DownloadStatus.Flashing, download_progress: 100, reboot_time: 5, upgrade_time: 0, auto_upgrade: false },
+      { status: DownloadStatus.Idle, download_progress: 0, reboot_time: 5, upgrade_time: 0, auto_upgrade: false }
+    ];
+    const responses = {
+      component_nego: smartComponents({ device: 2, firmware: 2 }),
+      get_device_info: { ...SMART_DEVICE_INFO, fw_ver: '1.0.0 Build 230101' },
+      get_connect_cloud_state: { status: 0 },
+      get_auto_update_info: { enable: false, time: 180, random_range: 120 },
+      get_latest_firmware: {
+        type: 1, fw_ver: '1.1.0 Build 240101', release_date: '2024-01-01',
+        release_note: 'Bug fixes', fw_size: 786432, need_to_upgrade: false
+      },
+      set_auto_update_info: {},
+      fw_download: {}
+    };
+    const protocol = await createSmartProtocol(responses);
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    const firmware = device.modules[Module.Firmware];
+    expect(device.features.current_firmware_version.value).toBe('1.0.0 Build 230101');
+    expect(device.features.update_available.value).toBeNull();
+    expect(device.features.auto_update_enabled.value).toBe(false);
+
+    await device.features.auto_update_enabled.setValue(true);
+    expect(protocol.queries.at(-1)).toEqual({
+      set_auto_update_info: { enable: true, time: 180, random_range: 120 }
+    });
+    await device.update();
+    expect(protocol.queries.at(-1)).toHaveProperty('get_auto_update_info');
+
+    const states = [];
+    await expect(async () => {
+      for await (const state of firmware.updateFirmware()) {
+        states.push(state);
+      }
+    }).rejects.toThrow('You must call checkLatestFirmware');
+
+    await device.features.check_latest_firmware.setValue();
+    expect(firmware.updateAvailable).toBe(true);
+    expect(device.features.available_firmware_version.value).toBe('1.1.0 Build 240101');
+    expect(firmware.firmwareUpdateInfo.releaseNotes).toBe('Bug fixes');
+
+    // The device is unreachable for one poll while rebooting
+    let polls = 0;
+    Object.defineProperty(responses, 'get_fw_download_state', {
+      get: () => {
+        polls += 1;
+        if (polls === 3) {
+          throw new Error('Device is rebooting');
+        }
+        return downloadStates.shift();
+      }
+    });
+    for await (const state of firmware.updateFirmware({ pollInterval: 0 })) {
+      states.push(state);
+    }
+    expect(protocol.queries).toContainEqual({ fw_download: null });
+    expect(states.map(state => state.status)).toEqual([
+      DownloadStatus.Downloading, DownloadStatus.Flashing, DownloadStatus.Idle
+    ]);
+    expect(states[0].progress).toBe(40);
+    expect(polls).toBe(4);
+  });
+});
+
+describe('Smart Cloud, Time and Led Modules', () => {
+  test('should report cloud connection, device time and led rule', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { Module } = await import('../kasa/module.js');
+    const { LedRule } = await import('../kasa/smart/modules/led.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, cloud_connect: 1, time: 1, led: 1 }),
+      get_device_info: SMART_DEVICE_INFO,
+      get_connect_cloud_state: { status: 0 },
+      get_device_time: { timestamp: 1720000000, time_diff: 120, region: 'Europe/Berlin' },
+      get_led_info: {
+        led_rule: 'auto', led_status: true, night_mode_type: 'sunrise_sunset',
+        start_time: 1140, end_time: 420, sunrise_offset: 0, sunset_offset: 0
+      },
+      set_device_time: {},
+      set_led_info: {}
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    expect(device.features.cloud_connection.value).toBe(true);
+
+    expect(device.timezone).toBe('Europe/Berlin');
+    expect(device.features.device_time.value).toEqual(new Date(1720000000 * 1000));
+    await device.modules[Module.Time].setTime(new Date(Date.UTC(2024, 0, 1, 12)), { timezone: 'America/New_York' });
+    expect(protocol.queries.at(-1)).toEqual({
+      set_device_time: { timestamp: 1704110400, time_diff: -300, region: 'America/New_York' }
+    });
+
+    const led = device.modules[Module.Led];
+    expect(device.features.led.value).toBe(true);
+    expect(device.features.led_mode.value).toBe(LedRule.NightMode);
+    expect(led.nightModeSettings.type).toBe('sunrise_sunset');
+    await device.features.led.setValue(false);
+    expect(protocol.queries.at(-1).set_led_info.led_rule).toBe(LedRule.Never);
+    expect(protocol.queries.at(-1).set_led_info.start_time).toBe(1140);
+    await expect(led.setMode('blink')).rejects.toThrow('Invalid led mode blink');
+  });
+
+  test('should fall back to an offset timezone and report cloud errors as disconnected', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { SmartErrorCode } = await import('../kasa/exceptions.js');
+    const protocol = await createSmartProtocol({
+      component_nego: smartComponents({ device: 2, cloud_connect: 1, time: 1 }),
+      get_device_info: SMART_DEVICE_INFO,
+      get_connect_cloud_state: SmartErrorCode.fromInt(SmartErrorCode.UNKNOWN_METHOD_ERROR),
+      get_device_time: { timestamp: 1720000000, time_diff: -180, region: '' }
+    });
+    const device = new SmartDevice('127.0.0.1', { protocol });
+    await device.update();
+
+    expect(device.features.cloud_connection.value).toBe(false);
+    expect(device.timezone).toBe('Etc/GMT+3');
+  });
+});
+
+describe('Smart Hub Child Sensor Modules', () => {
+  const T315_INFO = {
+    device_id: 'T315ID',
+    category: 'subg.trigger.temp-hmdt-sensor',
+    model: 'T315',
+    type: 'SMART.TAPOSENSOR',
+    nickname: Buffer.from('Living room').toString('base64'),
+    current_temp: 21.4,
+    current_temp_exception: 0,
+    temp_unit: 'celsius',
+    current_humidity: 48,
+    current_humidity_exception: -2,
+    at_low_battery: false,
+    battery_percentage: 87
+  };
+  const T110_INFO = {
+    device_id: 'T110ID',
+    category: 'subg.trigger.contact-sensor',
+    model: 'T110',
+    type: 'SMART.TAPOSENSOR',
+    nickname: Buffer.from('Front door').toString('base64'),
+    open: false,
+    at_low_battery: true
+  };
+
+  test('should expose the sensors of hub children', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { SmartChildDevice } = await import('../kasa/smart/smartchilddevice.js');
+    const { DeviceType } = await import('../kasa/deviceType.js');
+    const { Module } = await import('../kasa/module.js');
+    const responses = {
+      component_nego: smartComponents({ device: 2, child_device: 1 }),
+      get_device_info: { ...SMART_DEVICE_INFO, model: 'H100', type: 'SMART.TAPOHUB' },
+      get_connect_cloud_state: { status: 0 },
+      get_child_device_list: { child_device_list: [T315_INFO, T110_INFO], start_index: 0, sum: 2 },
+      get_child_device_component_list: {
+        child_component_list: [
+          { device_id: 'T315ID', ...smartComponents({ device: 2, temperature: 1, humidity: 1, battery_detect: 1, time: 1 }) },
+          { device_id: 'T110ID', ...smartComponents({ device: 2, battery_detect: 1 }) }
+        ]
+      },
+      control_child: { responseData: { result: {}, error_code: 0 } }
+    };
+    const protocol = await createSmartProtocol(responses);
+    const hub = new SmartDevice('127.0.0.1', { protocol });
+    await hub.update();
+
+    expect(hub.deviceType).toBe(DeviceType.Hub);
+    const [climate, door] = hub.children;
+    expect(climate).toBeInstanceOf(SmartChildDevice);
+    expect(climate.deviceType).toBe(DeviceType.Sensor);
+    expect(climate.alias).toBe('Living room');
+    expect(climate.features.temperature.value).toBe(21.4);
+    expect(climate.features.temperature.unit).toBe('celsius');
+    expect(climate.features.temperature_warning.value).toBe(false);
+    expect(climate.features.humidity.value).toBe(48);
+    expect(climate.features.humidity_warning.value).toBe(true);
+    expect(climate.features.battery_level.value).toBe(87);
+    expect(climate.features.battery_low.value).toBe(false);
+    // Hub children do not report the time
+    expect(climate.modules[Module.Time]).toBeUndefined();
+
+    expect(door.features.is_open.value).toBe(false);
+    expect(door.features.battery_low.value).toBe(true);
+    expect(door.features.battery_level).toBeUndefined();
+
+    await climate.features.temperature_unit.setValue('fahrenheit');
+    expect(protocol.queries.at(-1)).toEqual({
+      control_child: {
+        device_id: 'T315ID',
+        requestData: { method: 'set_device_info', params: { temp_unit: 'fahrenheit' } }
+      }
+    });
+
+    responses.get_child_device_list = {
+      child_device_list: [T315_INFO, { ...T110_INFO, open: true }], start_index: 0, sum: 2
+    };
+    await hub.update();
+    expect(protocol.queries.at(-1)).toEqual({
+      get_device_info: null,
+      get_child_device_list: null,
+      get_child_device_component_list: null
+    });
+    expect(door.features.is_open.value).toBe(true);
+  });
+
+  test('should expose motion and water leak sensors', async () => {
+    const { SmartDevice } = await import('../kasa/smart/smartdevice.js');
+    const { SmartChildDevice } = await import('../kasa/smart/smartchilddevice.js');
+    const { WaterleakStatus } = await import('../kasa/smart/modules/waterleaksensor.js');
+    const hub = new SmartDevice('127.0.0.1', { protocol: await createSmartProtocol({}) });
+    hub._info = { type: 'SMART.TAPOHUB' };
+
+    const motion = await SmartChildDevice.create(
+      hub,
+      { device_id: 'T100ID', category: 'subg.trigger.motion-sensor', model: 'T100', detected: true, at_low_battery: false },
+      smartComponents({ sensitivity: 1, battery_detect: 1 })
+    );
+    await motion.update();
+    expect(motion.features.motion_detected.value).toBe(true);
+
+    const leak = await SmartChildDevice.create(
+      hub,
+      { device_id: 'T300ID', category: 'subg.trigger.water-leak-sensor', model: 'T300', water_leak_status: 'water_leak', in_alarm: true },
+      smartComponents({ sensor_alarm: 1 })
+    );
+    await leak.update();
+    expect(leak.features.water_leak.value).toBe(WaterleakStatus.LeakDetected);
+    expect(leak.features.water_alert.value).toBe(true);
+  });
+});